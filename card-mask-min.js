@@ -0,0 +1 @@
+class CreditCardMask extends("undefined"!=typeof PatternMask?PatternMask:require("./pattern-mask-min.js")){static TOKENS={"#":{pattern:/\d/},9:{pattern:/\d/,optional:!0}};static BRANDS={visa:{name:"Visa",pattern:/^4/,lengths:[13,16,19],gaps:[4,8,12,16],cvvLength:3},mastercard:{name:"Mastercard",pattern:/^(5[1-5]|222[1-9]|22[3-9]\d|2[3-6]\d\d|27[01]\d|2720)/,lengths:[16],gaps:[4,8,12],cvvLength:3},amex:{name:"American Express",pattern:/^3[47]/,lengths:[15],gaps:[4,10],cvvLength:4},diners:{name:"Diners Club",pattern:/^3(0[0-5]|095|[689])/,lengths:[14],gaps:[4,10],cvvLength:3},discover:{name:"Discover",pattern:/^(6011|64[4-9]|65)/,lengths:[16,17,18,19],gaps:[4,8,12,16],cvvLength:3},jcb:{name:"JCB",pattern:/^35(2[89]|[3-8])/,lengths:[16,17,18,19],gaps:[4,8,12,16],cvvLength:3},elo:{name:"Elo",pattern:/^(4011(78|79)|43(1274|8935)|45(1416|7393|763[12])|50(4175|6699|67[0-6]\d|677[0-8]|9\d{3})|627780|63(6297|6368)|650(03[1-35-9]|04\d|05[01]|40[5-9]|4[1-3]\d|48[5-9]|49\d|5[0-2]\d|53[0-8]|54[1-9]|5[5-8]\d|59[0-8]|70\d|71[0-8]|72[0-7]|90[1-9]|9[1-6]\d|97[0-8])|6516(5[2-9]|[67]\d)|6550([01]\d|2[1-9]|[34]\d|5[0-8]))/,lengths:[16],gaps:[4,8,12],cvvLength:3,priority:2},hipercard:{name:"Hipercard",pattern:/^(606282|3841[046]0)/,lengths:[16,19],gaps:[4,8,12,16],cvvLength:3,priority:2}};static FALLBACK_MASK="#### #### #### 9999 999";static DEFAULT_MESSAGES={en:"Please enter a valid card number.","en-US":"Please enter a valid card number.",pt:"Digite um número de cartão válido.","pt-BR":"Digite um número de cartão válido.",es:"Ingrese un número de tarjeta válido.",fr:"Veuillez entrer un numéro de carte valide.",de:"Bitte geben Sie eine gültige Kartennummer ein."};static format(e,t={}){return super.format(e,this.buildMasks(),t)}static parse(e){return String(e??"").replace(/\D/g,"")}static buildMasks(){const e=Object.entries(this.BRANDS).map(([e,t])=>({mask:this.buildMask(t),brand:e,match:t.pattern,priority:t.priority||1}));return e.push({mask:this.FALLBACK_MASK,brand:null}),e}static buildMask({lengths:e,gaps:t}){const r=Math.min(...e);let a="";for(let n=0;n<Math.max(...e);n++)t.includes(n)&&(a+=" "),a+=n<r?"#":"9";return a}static detectBrand(e){const t=this.parse(e);let r=null;for(const[e,a]of Object.entries(this.BRANDS))a.pattern.test(t)&&(!r||(a.priority||1)>(this.BRANDS[r].priority||1))&&(r=e);return r}static isValidLuhn(e){const t=this.parse(e);if(0===t.length)return!1;let r=0;for(let e=0;e<t.length;e++){let a=Number(t[t.length-1-e]);e%2==1&&(a*=2,a>9&&(a-=9)),r+=a}return r%10==0}static isValidNumber(e,t=null){const r=this.parse(e),a=this.detectBrand(r);return!(!a||t&&!t.includes(a))&&(this.BRANDS[a].lengths.includes(r.length)&&this.isValidLuhn(r))}constructor(e,t={}){super(e,t),this.brand=this.getBrand()}resolveOptions(e){const t=e.brands||null;if(t){const e=t.find(e=>!CreditCardMask.BRANDS[e]);if(e)throw new Error(`Unknown card brand "${e}" provided to CreditCardMask.`)}return super.resolveOptions({...e,brands:t,masks:CreditCardMask.buildMasks()})}getBrand(){return CreditCardMask.detectBrand(this.getUnmaskedValue())}isComplete(){const e=this.getUnmaskedValue();if(!e)return!this.input.value;const t=CreditCardMask.detectBrand(e);return!!t&&CreditCardMask.BRANDS[t].lengths.includes(e.length)}isValid(){return!this.input.value||CreditCardMask.isValidNumber(this.getUnmaskedValue(),this.options.brands)}notifyChanges(){const e=this.brand;this.brand=this.getBrand(),this.brand!==e&&this.dispatch("brandchange",{previousBrand:e}),super.notifyChanges()}dispatch(e,t={}){super.dispatch(e,{brand:this.getBrand(),...t})}}class CardExpiryMask extends("undefined"!=typeof PatternMask?PatternMask:require("./pattern-mask-min.js")){static TOKENS={"#":{pattern:/\d/}};static DEFAULT_MESSAGES={en:"Please enter a valid expiration date.","en-US":"Please enter a valid expiration date.",pt:"Digite uma data de validade válida.","pt-BR":"Digite uma data de validade válida.",es:"Ingrese una fecha de vencimiento válida.",fr:"Veuillez entrer une date d'expiration valide.",de:"Bitte geben Sie ein gültiges Ablaufdatum ein."};static parse(e){const t=CardExpiryMask.normalize(String(e??"")).replace(/\D/g,"");if(4!==t.length)return null;const r=Number(t.slice(0,2));return r<1||r>12?null:{month:r,year:2e3+Number(t.slice(2))}}static isExpired(e,t,r=new Date){return t<r.getFullYear()||t===r.getFullYear()&&e<r.getMonth()+1}static normalize(e){const t=/^\s*(\d{1,2})\s*[/.-]\s*(\d*)\s*$/.exec(e);return t?t[1].padStart(2,"0")+(4===t[2].length?t[2].slice(2):t[2]):e}static padMonth(e){return/^[2-9]/.test(e)?"0"+e:e}resolveOptions(e){return super.resolveOptions({...e,masks:["##/##"]})}unmask(e,t,r){return CardExpiryMask.padMonth(super.unmask(CardExpiryMask.normalize(e),t,r))}render(e){super.render(CardExpiryMask.padMonth(e))}acceptsText(e){return!(!/^[/.-]$/.test(e)||1!==this.getUnmaskedValue().length)||super.acceptsText(e)}getExpiry(){return CardExpiryMask.parse(this.input.value)}isValid(){if(!this.input.value)return!0;const e=this.getExpiry();return!!e&&!CardExpiryMask.isExpired(e.month,e.year)}}class CardCvvMask extends("undefined"!=typeof PatternMask?PatternMask:require("./pattern-mask-min.js")){static TOKENS={"#":{pattern:/\d/},9:{pattern:/\d/,optional:!0}};static DEFAULT_MESSAGES={en:"Please enter a valid security code.","en-US":"Please enter a valid security code.",pt:"Digite um código de segurança válido.","pt-BR":"Digite um código de segurança válido.",es:"Ingrese un código de seguridad válido.",fr:"Veuillez entrer un code de sécurité valide.",de:"Bitte geben Sie einen gültigen Sicherheitscode ein."};constructor(e,t={}){super(e,t),this.cardInput=CardCvvMask.resolveCardInput(this.options.card),this.cardInput&&(this.handleBrandChange=()=>this.updateOptions(),this.cardInput.addEventListener("mask:brandchange",this.handleBrandChange))}static resolveCardInput(e){return e?e instanceof CreditCardMask?e.input:"string"==typeof e?document.querySelector(e):e:null}resolveOptions(e){let t=e.length||null;if(!t&&e.card){const r=CreditCardMask.getInstance(CardCvvMask.resolveCardInput(e.card)),a=r?r.getBrand():null;t=a?CreditCardMask.BRANDS[a].cvvLength:null}return super.resolveOptions({length:null,card:null,...e,masks:[t?"#".repeat(t):"###9"]})}destroy(){this.cardInput&&this.cardInput.removeEventListener("mask:brandchange",this.handleBrandChange),super.destroy()}}"undefined"!=typeof module&&module.exports&&(module.exports={CreditCardMask:CreditCardMask,CardExpiryMask:CardExpiryMask,CardCvvMask:CardCvvMask});
\ No newline at end of file
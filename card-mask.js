@@ -0,0 +1,384 @@
+/**
+ * @fileoverview JavaScript classes for formatting and validating payment cards: number, expiry date and CVV.
+ * @version 1.0.0
+ * @author Bernhard Enders
+ * @license MIT
+ * @modified 2026-10-19
+ * @requires pattern-mask.js
+ */
+
+/**
+ * CreditCardMask class formats card numbers by brand and validates them with Luhn
+ * @class
+ * @classdesc The brand is detected from the first digits (IIN) and sets the grouping and the
+ * accepted lengths: 4-6-5 for Amex, 4-4-4-4 for most others, up to 19 digits. The detected
+ * brand is kept in `brand` and sent along with every event; mask:brandchange reports changes.
+ *
+ * @example
+ * const cardMask = new CreditCardMask('#card-number', { brands: ['visa', 'mastercard', 'elo'] });
+ * cardMask.input.addEventListener('mask:brandchange', event => showBrandIcon(event.detail.brand));
+ */
+class CreditCardMask extends (typeof PatternMask !== 'undefined' ? PatternMask : require('./pattern-mask.js')) {
+
+    static TOKENS = {
+        '#': { pattern: /\d/ },
+        '9': { pattern: /\d/, optional: true },
+    };
+
+    /**
+     * Card brands: IIN ranges, valid lengths, positions of the spaces and CVV length.
+     * Brands whose ranges lie inside another brand's (Elo, Hipercard) have a higher priority.
+     */
+    static BRANDS = {
+        'visa': { name: 'Visa', pattern: /^4/, lengths: [13, 16, 19], gaps: [4, 8, 12, 16], cvvLength: 3 },
+        'mastercard': { name: 'Mastercard', pattern: /^(5[1-5]|222[1-9]|22[3-9]\d|2[3-6]\d\d|27[01]\d|2720)/, lengths: [16], gaps: [4, 8, 12], cvvLength: 3 },
+        'amex': { name: 'American Express', pattern: /^3[47]/, lengths: [15], gaps: [4, 10], cvvLength: 4 },
+        'diners': { name: 'Diners Club', pattern: /^3(0[0-5]|095|[689])/, lengths: [14], gaps: [4, 10], cvvLength: 3 },
+        'discover': { name: 'Discover', pattern: /^(6011|64[4-9]|65)/, lengths: [16, 17, 18, 19], gaps: [4, 8, 12, 16], cvvLength: 3 },
+        'jcb': { name: 'JCB', pattern: /^35(2[89]|[3-8])/, lengths: [16, 17, 18, 19], gaps: [4, 8, 12, 16], cvvLength: 3 },
+        'elo': {
+            name: 'Elo',
+            pattern: /^(4011(78|79)|43(1274|8935)|45(1416|7393|763[12])|50(4175|6699|67[0-6]\d|677[0-8]|9\d{3})|627780|63(6297|6368)|650(03[1-35-9]|04\d|05[01]|40[5-9]|4[1-3]\d|48[5-9]|49\d|5[0-2]\d|53[0-8]|54[1-9]|5[5-8]\d|59[0-8]|70\d|71[0-8]|72[0-7]|90[1-9]|9[1-6]\d|97[0-8])|6516(5[2-9]|[67]\d)|6550([01]\d|2[1-9]|[34]\d|5[0-8]))/,
+            lengths: [16],
+            gaps: [4, 8, 12],
+            cvvLength: 3,
+            priority: 2
+        },
+        'hipercard': { name: 'Hipercard', pattern: /^(606282|3841[046]0)/, lengths: [16, 19], gaps: [4, 8, 12, 16], cvvLength: 3, priority: 2 },
+    };
+
+    // Used while the brand is unknown
+    static FALLBACK_MASK = '#### #### #### 9999 999';
+
+    static DEFAULT_MESSAGES = {
+        'en': 'Please enter a valid card number.',
+        'en-US': 'Please enter a valid card number.',
+        'pt': 'Digite um número de cartão válido.',
+        'pt-BR': 'Digite um número de cartão válido.',
+        'es': 'Ingrese un número de tarjeta válido.',
+        'fr': 'Veuillez entrer un numéro de carte valide.',
+        'de': 'Bitte geben Sie eine gültige Kartennummer ein.',
+    };
+
+    /**
+     * Format a card number with the grouping of its brand, without an input.
+     *
+     * @example
+     * CreditCardMask.format('378282246310005'); // "3782 822463 10005"
+     */
+    static format(number, options = {}) {
+        return super.format(number, this.buildMasks(), options);
+    }
+
+    /**
+     * Return the digits of a formatted card number.
+     */
+    static parse(text) {
+        return String(text ?? '').replace(/\D/g, '');
+    }
+
+    /**
+     * Build one mask per brand: required slots up to its shortest length, optional ones up
+     * to its longest, e.g. "#### #### #### #999 999" for Visa.
+     */
+    static buildMasks() {
+        const masks = Object.entries(this.BRANDS).map(([brand, data]) => ({
+            mask: this.buildMask(data),
+            brand,
+            match: data.pattern,
+            priority: data.priority || 1
+        }));
+        masks.push({ mask: this.FALLBACK_MASK, brand: null });
+        return masks;
+    }
+
+    static buildMask({ lengths, gaps }) {
+        const minLength = Math.min(...lengths);
+        let mask = '';
+        for (let i = 0; i < Math.max(...lengths); i++) {
+            if (gaps.includes(i)) mask += ' ';
+            mask += i < minLength ? '#' : '9';
+        }
+        return mask;
+    }
+
+    /**
+     * Return the brand of a (possibly partial) card number, or null when no IIN range matches.
+     *
+     * @example
+     * CreditCardMask.detectBrand('5067 0000'); // "elo"
+     */
+    static detectBrand(number) {
+        const digits = this.parse(number);
+        let match = null;
+        for (const [brand, data] of Object.entries(this.BRANDS)) {
+            if (data.pattern.test(digits) &&
+                (!match || (data.priority || 1) > (this.BRANDS[match].priority || 1))) {
+                match = brand;
+            }
+        }
+        return match;
+    }
+
+    /**
+     * Validate a card number by its Luhn (mod 10) check digit.
+     */
+    static isValidLuhn(number) {
+        const digits = this.parse(number);
+        if (digits.length === 0) return false;
+
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            let digit = Number(digits[digits.length - 1 - i]);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+        }
+        return sum % 10 === 0;
+    }
+
+    /**
+     * Whether a complete card number is valid: a known (and accepted) brand, one of its
+     * lengths and a correct check digit.
+     * @param {string} number
+     * @param {string[]|null} [brands] - Accepted brands, all by default.
+     */
+    static isValidNumber(number, brands = null) {
+        const digits = this.parse(number);
+        const brand = this.detectBrand(digits);
+        if (!brand || (brands && !brands.includes(brand))) return false;
+        return this.BRANDS[brand].lengths.includes(digits.length) && this.isValidLuhn(digits);
+    }
+
+    constructor(inputElementOrSelector, options = {}) {
+        super(inputElementOrSelector, options);
+        this.brand = this.getBrand();
+    }
+
+    resolveOptions(options) {
+        const brands = options.brands || null;
+        if (brands) {
+            const unknown = brands.find(brand => !CreditCardMask.BRANDS[brand]);
+            if (unknown) {
+                throw new Error(`Unknown card brand "${unknown}" provided to CreditCardMask.`);
+            }
+        }
+
+        return super.resolveOptions({
+            ...options,
+            brands,
+            masks: CreditCardMask.buildMasks()
+        });
+    }
+
+    /**
+     * Return the detected brand of the typed number, e.g. 'visa', or null.
+     */
+    getBrand() {
+        return CreditCardMask.detectBrand(this.getUnmaskedValue());
+    }
+
+    /**
+     * A number is complete once it reaches one of its brand's lengths.
+     */
+    isComplete() {
+        const digits = this.getUnmaskedValue();
+        if (!digits) return !this.input.value;
+        const brand = CreditCardMask.detectBrand(digits);
+        return !!brand && CreditCardMask.BRANDS[brand].lengths.includes(digits.length);
+    }
+
+    isValid() {
+        if (!this.input.value) return true;
+        return CreditCardMask.isValidNumber(this.getUnmaskedValue(), this.options.brands);
+    }
+
+    notifyChanges() {
+        const previousBrand = this.brand;
+        this.brand = this.getBrand();
+        if (this.brand !== previousBrand) {
+            this.dispatch('brandchange', { previousBrand });
+        }
+        super.notifyChanges();
+    }
+
+    dispatch(type, detail = {}) {
+        super.dispatch(type, { brand: this.getBrand(), ...detail });
+    }
+}
+
+/**
+ * CardExpiryMask class formats and validates card expiry dates as MM/YY
+ * @class
+ * @classdesc Months typed as a single digit are padded ("4" becomes "04/"), and pasted or
+ * autofilled "MM/YYYY" dates are shortened. Dates in the past are invalid.
+ *
+ * @example
+ * const expiryMask = new CardExpiryMask('#card-expiry');
+ * expiryMask.getExpiry(); // { month: 4, year: 2028 }
+ */
+class CardExpiryMask extends (typeof PatternMask !== 'undefined' ? PatternMask : require('./pattern-mask.js')) {
+
+    static TOKENS = {
+        '#': { pattern: /\d/ },
+    };
+
+    static DEFAULT_MESSAGES = {
+        'en': 'Please enter a valid expiration date.',
+        'en-US': 'Please enter a valid expiration date.',
+        'pt': 'Digite uma data de validade válida.',
+        'pt-BR': 'Digite uma data de validade válida.',
+        'es': 'Ingrese una fecha de vencimiento válida.',
+        'fr': 'Veuillez entrer une date d\'expiration valide.',
+        'de': 'Bitte geben Sie ein gültiges Ablaufdatum ein.',
+    };
+
+    /**
+     * Return the month and (four-digit) year of an expiry date, or null when it is
+     * incomplete or its month is out of range.
+     *
+     * @example
+     * CardExpiryMask.parse('04/28');   // { month: 4, year: 2028 }
+     * CardExpiryMask.parse('4/2028');  // { month: 4, year: 2028 }
+     */
+    static parse(text) {
+        const raw = CardExpiryMask.normalize(String(text ?? '')).replace(/\D/g, '');
+        if (raw.length !== 4) return null;
+        const month = Number(raw.slice(0, 2));
+        if (month < 1 || month > 12) return null;
+        return { month, year: 2000 + Number(raw.slice(2)) };
+    }
+
+    /**
+     * Whether a card expiring on the given month is expired. Cards are valid through the
+     * last day of their expiry month.
+     */
+    static isExpired(month, year, now = new Date()) {
+        return year < now.getFullYear() || (year === now.getFullYear() && month < now.getMonth() + 1);
+    }
+
+    /**
+     * Rewrite "4/28" and "04/2028" (as typed, pasted or autofilled) as "0428".
+     */
+    static normalize(text) {
+        const parts = /^\s*(\d{1,2})\s*[/.-]\s*(\d*)\s*$/.exec(text);
+        if (!parts) return text;
+        return parts[1].padStart(2, '0') + (parts[2].length === 4 ? parts[2].slice(2) : parts[2]);
+    }
+
+    // No month starts with 2-9: "4" can only be April
+    static padMonth(raw) {
+        return /^[2-9]/.test(raw) ? '0' + raw : raw;
+    }
+
+    resolveOptions(options) {
+        return super.resolveOptions({
+            ...options,
+            masks: ['##/##']
+        });
+    }
+
+    unmask(text, maskData, following) {
+        return CardExpiryMask.padMonth(super.unmask(CardExpiryMask.normalize(text), maskData, following));
+    }
+
+    render(raw) {
+        super.render(CardExpiryMask.padMonth(raw));
+    }
+
+    acceptsText(text) {
+        // Let "1/" through: the separator after a single digit pads the month ("01/")
+        if (/^[/.-]$/.test(text) && this.getUnmaskedValue().length === 1) return true;
+        return super.acceptsText(text);
+    }
+
+    /**
+     * Return the expiry date as { month, year }, or null when it is incomplete or invalid.
+     */
+    getExpiry() {
+        return CardExpiryMask.parse(this.input.value);
+    }
+
+    isValid() {
+        if (!this.input.value) return true;
+        const expiry = this.getExpiry();
+        return !!expiry && !CardExpiryMask.isExpired(expiry.month, expiry.year);
+    }
+}
+
+/**
+ * CardCvvMask class formats card security codes
+ * @class
+ * @classdesc The code has 3 or 4 digits. Linked to a card number input with the `card` option,
+ * its length follows the detected brand: 4 digits for Amex, 3 for the others.
+ *
+ * @example
+ * const cvvMask = new CardCvvMask('#card-cvv', { card: '#card-number' });
+ */
+class CardCvvMask extends (typeof PatternMask !== 'undefined' ? PatternMask : require('./pattern-mask.js')) {
+
+    static TOKENS = {
+        '#': { pattern: /\d/ },
+        '9': { pattern: /\d/, optional: true },
+    };
+
+    static DEFAULT_MESSAGES = {
+        'en': 'Please enter a valid security code.',
+        'en-US': 'Please enter a valid security code.',
+        'pt': 'Digite um código de segurança válido.',
+        'pt-BR': 'Digite um código de segurança válido.',
+        'es': 'Ingrese un código de seguridad válido.',
+        'fr': 'Veuillez entrer un code de sécurité valide.',
+        'de': 'Bitte geben Sie einen gültigen Sicherheitscode ein.',
+    };
+
+    constructor(inputElementOrSelector, options = {}) {
+        super(inputElementOrSelector, options);
+
+        this.cardInput = CardCvvMask.resolveCardInput(this.options.card);
+        if (this.cardInput) {
+            this.handleBrandChange = () => this.updateOptions();
+            this.cardInput.addEventListener('mask:brandchange', this.handleBrandChange);
+        }
+    }
+
+    /**
+     * Return the card number input given as a CreditCardMask, an element or a selector.
+     */
+    static resolveCardInput(card) {
+        if (!card) return null;
+        if (card instanceof CreditCardMask) return card.input;
+        if (typeof card === 'string') return document.querySelector(card);
+        return card;
+    }
+
+    resolveOptions(options) {
+        let length = options.length || null;
+        if (!length && options.card) {
+            // The card mask may not exist yet; the brandchange listener updates the length later
+            const cardMask = CreditCardMask.getInstance(CardCvvMask.resolveCardInput(options.card));
+            const brand = cardMask ? cardMask.getBrand() : null;
+            length = brand ? CreditCardMask.BRANDS[brand].cvvLength : null;
+        }
+
+        return super.resolveOptions({
+            length: null,
+            card: null,
+            ...options,
+            masks: [length ? '#'.repeat(length) : '###9']
+        });
+    }
+
+    destroy() {
+        if (this.cardInput) {
+            this.cardInput.removeEventListener('mask:brandchange', this.handleBrandChange);
+        }
+        super.destroy();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CreditCardMask, CardExpiryMask, CardCvvMask };
+}
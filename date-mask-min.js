@@ -0,0 +1 @@
+class DateMask extends("undefined"!=typeof PatternMask?PatternMask:require("./pattern-mask-min.js")){static TOKENS={"#":{pattern:/\d/}};static FORMAT_TOKENS={YYYY:"year",MM:"month",DD:"day",HH:"hours",mm:"minutes"};static PRESETS={"pt-BR":{date:"DD/MM/YYYY",datetime:"DD/MM/YYYY HH:mm",time:"HH:mm"},"en-US":{date:"MM/DD/YYYY",datetime:"MM/DD/YYYY HH:mm",time:"HH:mm"},ISO:{date:"YYYY-MM-DD",datetime:"YYYY-MM-DD HH:mm",time:"HH:mm"}};static DEFAULT_MESSAGES={en:{invalid:"Please enter a valid date.",min:"The date must be {min} or later.",max:"The date must be {max} or earlier."},pt:{invalid:"Digite uma data válida.",min:"A data deve ser {min} ou posterior.",max:"A data deve ser {max} ou anterior."},es:{invalid:"Ingrese una fecha válida.",min:"La fecha debe ser {min} o posterior.",max:"La fecha debe ser {max} o anterior."},fr:{invalid:"Veuillez entrer une date valide.",min:"La date doit être {min} ou après.",max:"La date doit être {max} ou avant."},de:{invalid:"Bitte geben Sie ein gültiges Datum ein.",min:"Das Datum muss {min} oder später sein.",max:"Das Datum muss {max} oder früher sein."}};static resolveFormat(t={}){if(t.format)return t.format;const e=t.locale||"ISO",a=t.type||"date",s=this.PRESETS[e]||this.PRESETS[e.split("-")[0]];if(!s)throw new Error(`Unknown locale "${e}" provided to DateMask.`);if(!s[a])throw new Error(`Invalid type "${a}" provided to DateMask.`);return s[a]}static parseFormat(t){const e=[];let a="",s=0;const r=new RegExp(Object.keys(this.FORMAT_TOKENS).join("|"),"g");let i,n=0;for(;null!==(i=r.exec(t));)a+=this.escapeLiterals(t.slice(n,i.index)),a+="#".repeat(i[0].length),e.push({part:this.FORMAT_TOKENS[i[0]],start:s,length:i[0].length}),s+=i[0].length,n=r.lastIndex;if(a+=this.escapeLiterals(t.slice(n)),0===e.length)throw new Error(`Format "${t}" provided to DateMask has no date or time tokens.`);return{mask:a,fields:e}}static escapeLiterals(t){return Array.from(t).map(t=>this.TOKENS[t]||t===this.ESCAPE_CHAR?this.ESCAPE_CHAR+t:t).join("")}static readParts(t,e){const a=e.reduce((t,e)=>t+e.length,0);if(t.length!==a)return null;const s={};for(const a of e)s[a.part]=Number(t.slice(a.start,a.start+a.length));return s}static isLeapYear(t){return t%4==0&&(t%100!=0||t%400==0)}static daysInMonth(t,e){return 2===e?this.isLeapYear(t)?29:28:[4,6,9,11].includes(e)?30:31}static isValidParts(t){const{year:e,month:a,day:s,hours:r,minutes:i}=t;if(void 0!==e&&e<1)return!1;if(void 0!==a&&(a<1||a>12))return!1;if(void 0!==s){const t=void 0===a?31:this.daysInMonth(void 0===e?2e3:e,a);if(s<1||s>t)return!1}return!(void 0!==r&&r>23)&&!(void 0!==i&&i>59)}static toDate(t){const e=new Date(1970,0,1,t.hours||0,t.minutes||0);return e.setFullYear(void 0===t.year?1970:t.year,void 0===t.month?0:t.month-1,void 0===t.day?1:t.day),e}static toISO(t,e){const a=t=>e.some(e=>e.part===t),s=(t,e=2)=>String(t||0).padStart(e,"0"),r=a("year")||a("month")||a("day"),i=a("hours")||a("minutes"),n=r?`${s(void 0===t.year?1970:t.year,4)}-${s(t.month||1)}-${s(t.day||1)}`:"",o=i?`${s(t.hours)}:${s(t.minutes)}`:"";return n&&o?`${n}T${o}`:n||o}static toParts(t,e){let a=null;if(t instanceof Date){if(isNaN(t.getTime()))return null;a={year:t.getFullYear(),month:t.getMonth()+1,day:t.getDate(),hours:t.getHours(),minutes:t.getMinutes()}}else if("string"==typeof t){const e=/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?)?$/.exec(t.trim()),s=/^(\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?$/.exec(t.trim());e?a={year:+e[1],month:+e[2],day:+e[3],hours:+(e[4]||0),minutes:+(e[5]||0)}:s&&(a={year:1970,month:1,day:1,hours:+s[1],minutes:+s[2]})}if(!a)return null;const s={};return e.forEach(t=>{s[t.part]=a[t.part]}),s}static toSortKey(t){return["year","month","day","hours","minutes"].filter(e=>void 0!==t[e]).map(e=>String(t[e]).padStart("year"===e?4:2,"0")).join("")}static format(t,e={}){const{mask:a,fields:s}=this.parseFormat(this.resolveFormat(e)),r=this.toParts(t,s);if(!r)return"";const i=s.map(t=>String(r[t.part]).padStart(t.length,"0")).join("");return super.format(i,a)}static parse(t,e={}){const{mask:a,fields:s}=this.parseFormat(this.resolveFormat(e)),r=this.readParts(super.parse(String(t??""),a),s);return r&&this.isValidParts(r)?this.toDate(r):null}resolveOptions(t){const e=DateMask.resolveFormat(t),{mask:a,fields:s}=DateMask.parseFormat(e);this.fields=s;const r=super.resolveOptions({locale:"ISO",type:"date",min:null,max:null,...t,format:e,masks:[a]});r.messages={...DateMask.DEFAULT_MESSAGES};for(const[e,a]of Object.entries(t.messages||{}))r.messages[e]={...DateMask.DEFAULT_MESSAGES[e],...a};for(const t of["min","max"])if(null!==r[t]&&!DateMask.toParts(r[t],s))throw new Error(`Invalid ${t} date "${r[t]}" provided to DateMask.`);return r}getParts(){const t=DateMask.readParts(this.getUnmaskedValue(),this.fields);return t&&DateMask.isValidParts(t)?t:null}getValue(t){const e=this.getParts();if(!e)return null;switch(t){case void 0:return DateMask.toDate(e);case"iso":return DateMask.toISO(e,this.fields);default:throw new Error(`Unknown date format "${t}".`)}}setValue(t){const e=t instanceof Date||"string"==typeof t&&""!==t?DateMask.toParts(t,this.fields):null;super.setValue(e?DateMask.format(t,{format:this.options.format}):t)}getPlainValue(){return this.getValue("iso")||super.getPlainValue()}getSubmitValue(){return this.getValue("iso")||""}getValidationError(){if(!this.input.value)return null;const t=this.getParts();if(!t)return"invalid";const e=DateMask.toSortKey(t),{min:a,max:s}=this.options;return null!==a&&e<DateMask.toSortKey(DateMask.toParts(a,this.fields))?"min":null!==s&&e>DateMask.toSortKey(DateMask.toParts(s,this.fields))?"max":null}isValid(){return null===this.getValidationError()}getErrorMessage(){const t=this.getValidationError()||"invalid";return(DateMask.findMessage(this.options.messages,t)||DateMask.DEFAULT_MESSAGES.en[t]).replace(/\{(min|max)\}/g,(t,e)=>DateMask.format(this.options[e],{format:this.options.format}))}}"undefined"!=typeof module&&module.exports&&(module.exports=DateMask);
\ No newline at end of file
@@ -0,0 +1,366 @@
+/**
+ * @fileoverview A JavaScript class for formatting and validating dates and times.
+ * @version 1.0.0
+ * @author Bernhard Enders
+ * @license MIT
+ * @modified 2026-10-19
+ * @requires pattern-mask.js
+ */
+
+/**
+ * DateMask class masks dates and times and validates them against the calendar
+ * @class
+ * @classdesc Formats are made of the DD, MM, YYYY, HH and mm tokens and literals, or come from
+ * a locale preset. Values are checked against the calendar (31/02 and 29/02 of common years
+ * are invalid) and the optional min/max bounds.
+ *
+ * @example
+ * const birthMask = new DateMask('#birth', { locale: 'pt-BR', max: new Date() });
+ * birthMask.getValue();      // Date
+ * birthMask.getValue('iso'); // "1990-05-17"
+ */
+class DateMask extends (typeof PatternMask !== 'undefined' ? PatternMask : require('./pattern-mask.js')) {
+
+    static TOKENS = {
+        '#': { pattern: /\d/ },
+    };
+
+    /**
+     * Format tokens and the date part each one holds.
+     */
+    static FORMAT_TOKENS = {
+        'YYYY': 'year',
+        'MM': 'month',
+        'DD': 'day',
+        'HH': 'hours',
+        'mm': 'minutes',
+    };
+
+    /**
+     * Formats by locale and type ('date', 'datetime' or 'time').
+     */
+    static PRESETS = {
+        'pt-BR': { date: 'DD/MM/YYYY', datetime: 'DD/MM/YYYY HH:mm', time: 'HH:mm' },
+        'en-US': { date: 'MM/DD/YYYY', datetime: 'MM/DD/YYYY HH:mm', time: 'HH:mm' },
+        'ISO': { date: 'YYYY-MM-DD', datetime: 'YYYY-MM-DD HH:mm', time: 'HH:mm' },
+    };
+
+    /**
+     * Validation messages per language. {min} and {max} are replaced by the formatted bounds.
+     */
+    static DEFAULT_MESSAGES = {
+        'en': { invalid: 'Please enter a valid date.', min: 'The date must be {min} or later.', max: 'The date must be {max} or earlier.' },
+        'pt': { invalid: 'Digite uma data válida.', min: 'A data deve ser {min} ou posterior.', max: 'A data deve ser {max} ou anterior.' },
+        'es': { invalid: 'Ingrese una fecha válida.', min: 'La fecha debe ser {min} o posterior.', max: 'La fecha debe ser {max} o anterior.' },
+        'fr': { invalid: 'Veuillez entrer une date valide.', min: 'La date doit être {min} ou après.', max: 'La date doit être {max} ou avant.' },
+        'de': { invalid: 'Bitte geben Sie ein gültiges Datum ein.', min: 'Das Datum muss {min} oder später sein.', max: 'Das Datum muss {max} oder früher sein.' },
+    };
+
+    /**
+     * Return the format given by the `format` option, or by the `locale` and `type` presets.
+     */
+    static resolveFormat(options = {}) {
+        if (options.format) return options.format;
+
+        const locale = options.locale || 'ISO';
+        const type = options.type || 'date';
+        const preset = this.PRESETS[locale] || this.PRESETS[locale.split('-')[0]];
+        if (!preset) {
+            throw new Error(`Unknown locale "${locale}" provided to DateMask.`);
+        }
+        if (!preset[type]) {
+            throw new Error(`Invalid type "${type}" provided to DateMask.`);
+        }
+        return preset[type];
+    }
+
+    /**
+     * Split a format into the pattern mask it types as (a digit slot per token character)
+     * and its fields, with their position among the typed digits.
+     *
+     * @example
+     * DateMask.parseFormat('DD/MM/YYYY').mask; // "##/##/####"
+     */
+    static parseFormat(format) {
+        const fields = [];
+        let mask = '';
+        let offset = 0;
+        const tokenPattern = new RegExp(Object.keys(this.FORMAT_TOKENS).join('|'), 'g');
+        let lastIndex = 0;
+        let match;
+
+        while ((match = tokenPattern.exec(format)) !== null) {
+            mask += this.escapeLiterals(format.slice(lastIndex, match.index));
+            mask += '#'.repeat(match[0].length);
+            fields.push({ part: this.FORMAT_TOKENS[match[0]], start: offset, length: match[0].length });
+            offset += match[0].length;
+            lastIndex = tokenPattern.lastIndex;
+        }
+        mask += this.escapeLiterals(format.slice(lastIndex));
+
+        if (fields.length === 0) {
+            throw new Error(`Format "${format}" provided to DateMask has no date or time tokens.`);
+        }
+        return { mask, fields };
+    }
+
+    static escapeLiterals(text) {
+        return Array.from(text).map(char =>
+            this.TOKENS[char] || char === this.ESCAPE_CHAR ? this.ESCAPE_CHAR + char : char
+        ).join('');
+    }
+
+    /**
+     * Read the parts of a complete raw value, e.g. { day: 29, month: 2, year: 2024 }.
+     */
+    static readParts(raw, fields) {
+        const length = fields.reduce((total, field) => total + field.length, 0);
+        if (raw.length !== length) return null;
+
+        const parts = {};
+        for (const field of fields) {
+            parts[field.part] = Number(raw.slice(field.start, field.start + field.length));
+        }
+        return parts;
+    }
+
+    static isLeapYear(year) {
+        return year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0);
+    }
+
+    static daysInMonth(year, month) {
+        if (month === 2) return this.isLeapYear(year) ? 29 : 28;
+        return [4, 6, 9, 11].includes(month) ? 30 : 31;
+    }
+
+    /**
+     * Whether parts form a real date and time. Without a year, 29/02 is accepted.
+     */
+    static isValidParts(parts) {
+        const { year, month, day, hours, minutes } = parts;
+        if (year !== undefined && year < 1) return false;
+        if (month !== undefined && (month < 1 || month > 12)) return false;
+        if (day !== undefined) {
+            const maxDay = month === undefined ? 31 : this.daysInMonth(year === undefined ? 2000 : year, month);
+            if (day < 1 || day > maxDay) return false;
+        }
+        if (hours !== undefined && hours > 23) return false;
+        if (minutes !== undefined && minutes > 59) return false;
+        return true;
+    }
+
+    /**
+     * Build a local Date from parts; missing parts default to January 1, 1970, 00:00.
+     */
+    static toDate(parts) {
+        const date = new Date(1970, 0, 1, parts.hours || 0, parts.minutes || 0);
+        // The Date constructor maps years 0-99 to 1900-1999
+        date.setFullYear(
+            parts.year === undefined ? 1970 : parts.year,
+            parts.month === undefined ? 0 : parts.month - 1,
+            parts.day === undefined ? 1 : parts.day
+        );
+        return date;
+    }
+
+    /**
+     * Return parts as an ISO 8601 string: "2024-02-29", "2024-02-29T14:30" or "14:30".
+     */
+    static toISO(parts, fields) {
+        const has = part => fields.some(field => field.part === part);
+        const pad = (value, length = 2) => String(value || 0).padStart(length, '0');
+        const hasDate = has('year') || has('month') || has('day');
+        const hasTime = has('hours') || has('minutes');
+
+        const date = hasDate ? `${pad(parts.year === undefined ? 1970 : parts.year, 4)}-${pad(parts.month || 1)}-${pad(parts.day || 1)}` : '';
+        const time = hasTime ? `${pad(parts.hours)}:${pad(parts.minutes)}` : '';
+        return date && time ? `${date}T${time}` : date || time;
+    }
+
+    /**
+     * Read the parts held by the fields from a Date or an ISO 8601 string
+     * ("2024-02-29", "2024-02-29T14:30:00", "14:30"). Returns null for anything else.
+     */
+    static toParts(value, fields) {
+        let all = null;
+        if (value instanceof Date) {
+            if (isNaN(value.getTime())) return null;
+            all = {
+                year: value.getFullYear(), month: value.getMonth() + 1, day: value.getDate(),
+                hours: value.getHours(), minutes: value.getMinutes()
+            };
+        } else if (typeof value === 'string') {
+            const iso = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?)?$/.exec(value.trim());
+            const time = /^(\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?$/.exec(value.trim());
+            if (iso) {
+                all = { year: +iso[1], month: +iso[2], day: +iso[3], hours: +(iso[4] || 0), minutes: +(iso[5] || 0) };
+            } else if (time) {
+                all = { year: 1970, month: 1, day: 1, hours: +time[1], minutes: +time[2] };
+            }
+        }
+        if (!all) return null;
+
+        const parts = {};
+        fields.forEach(field => {
+            parts[field.part] = all[field.part];
+        });
+        return parts;
+    }
+
+    /**
+     * Return a key that sorts like the dates, e.g. "202402291430".
+     */
+    static toSortKey(parts) {
+        return ['year', 'month', 'day', 'hours', 'minutes']
+            .filter(part => parts[part] !== undefined)
+            .map(part => String(parts[part]).padStart(part === 'year' ? 4 : 2, '0'))
+            .join('');
+    }
+
+    /**
+     * Format a Date or an ISO string with a format, without an input. Returns '' for
+     * anything else.
+     *
+     * @example
+     * DateMask.format(new Date(2024, 1, 29), { locale: 'pt-BR' }); // "29/02/2024"
+     */
+    static format(value, options = {}) {
+        const { mask, fields } = this.parseFormat(this.resolveFormat(options));
+        const parts = this.toParts(value, fields);
+        if (!parts) return '';
+
+        const raw = fields.map(field => String(parts[field.part]).padStart(field.length, '0')).join('');
+        return super.format(raw, mask);
+    }
+
+    /**
+     * Parse text typed in a format into a Date, or null when it isn't a complete, real date.
+     *
+     * @example
+     * DateMask.parse('31/02/2024', { locale: 'pt-BR' }); // null
+     */
+    static parse(text, options = {}) {
+        const { mask, fields } = this.parseFormat(this.resolveFormat(options));
+        const parts = this.readParts(super.parse(String(text ?? ''), mask), fields);
+        return parts && this.isValidParts(parts) ? this.toDate(parts) : null;
+    }
+
+    resolveOptions(options) {
+        const format = DateMask.resolveFormat(options);
+        const { mask, fields } = DateMask.parseFormat(format);
+        this.fields = fields;
+
+        const resolved = super.resolveOptions({
+            locale: 'ISO',
+            type: 'date',
+            min: null,
+            max: null,
+            ...options,
+            format,
+            masks: [mask]
+        });
+
+        // Merge custom messages into the defaults, language by language
+        resolved.messages = { ...DateMask.DEFAULT_MESSAGES };
+        for (const [language, messages] of Object.entries(options.messages || {})) {
+            resolved.messages[language] = { ...DateMask.DEFAULT_MESSAGES[language], ...messages };
+        }
+
+        for (const bound of ['min', 'max']) {
+            if (resolved[bound] !== null && !DateMask.toParts(resolved[bound], fields)) {
+                throw new Error(`Invalid ${bound} date "${resolved[bound]}" provided to DateMask.`);
+            }
+        }
+        return resolved;
+    }
+
+    /**
+     * Return the parts of the typed date, or null while it is incomplete or not a real date.
+     */
+    getParts() {
+        const parts = DateMask.readParts(this.getUnmaskedValue(), this.fields);
+        return parts && DateMask.isValidParts(parts) ? parts : null;
+    }
+
+    /**
+     * Return the typed date as a Date, or null when it is incomplete or invalid.
+     * Time masks return the time on January 1, 1970.
+     * @param {'iso'} [format] - 'iso' returns an ISO 8601 string instead, e.g. "2024-02-29",
+     * "2024-02-29T14:30" or "14:30".
+     * @returns {Date|string|null}
+     */
+    getValue(format) {
+        const parts = this.getParts();
+        if (!parts) return null;
+
+        switch (format) {
+            case undefined:
+                return DateMask.toDate(parts);
+            case 'iso':
+                return DateMask.toISO(parts, this.fields);
+            default:
+                throw new Error(`Unknown date format "${format}".`);
+        }
+    }
+
+    /**
+     * Accept a Date or an ISO string as well as text in the mask's format.
+     */
+    setValue(value) {
+        const parts = value instanceof Date || (typeof value === 'string' && value !== '')
+            ? DateMask.toParts(value, this.fields)
+            : null;
+        super.setValue(parts ? DateMask.format(value, { format: this.options.format }) : value);
+    }
+
+    /**
+     * Keep the date itself, not its digits, when the format changes: 29/02/2024 becomes
+     * 02/29/2024 in 'en-US'. Incomplete values keep their digits.
+     */
+    getPlainValue() {
+        return this.getValue('iso') || super.getPlainValue();
+    }
+
+    /**
+     * Submit the ISO string, e.g. "2024-02-29".
+     */
+    getSubmitValue() {
+        return this.getValue('iso') || '';
+    }
+
+    /**
+     * Return the failed check ('invalid', 'min' or 'max'), or null when the value is valid.
+     * An empty input is valid; use the `required` attribute for mandatory fields.
+     */
+    getValidationError() {
+        if (!this.input.value) return null;
+        const parts = this.getParts();
+        if (!parts) return 'invalid';
+
+        const key = DateMask.toSortKey(parts);
+        const { min, max } = this.options;
+        if (min !== null && key < DateMask.toSortKey(DateMask.toParts(min, this.fields))) return 'min';
+        if (max !== null && key > DateMask.toSortKey(DateMask.toParts(max, this.fields))) return 'max';
+        return null;
+    }
+
+    isValid() {
+        return this.getValidationError() === null;
+    }
+
+    /**
+     * Return the message of the failed check, with {min} and {max} formatted like the input.
+     */
+    getErrorMessage() {
+        const error = this.getValidationError() || 'invalid';
+        const message = DateMask.findMessage(this.options.messages, error) || DateMask.DEFAULT_MESSAGES['en'][error];
+
+        return message.replace(/\{(min|max)\}/g, (placeholder, bound) =>
+            DateMask.format(this.options[bound], { format: this.options.format })
+        );
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DateMask;
+}
@@ -0,0 +1 @@
+class DocumentMask extends("undefined"!=typeof PatternMask?PatternMask:require("./pattern-mask-min.js")){static TOKENS={"#":{pattern:/\d/}};static TYPES={cpf:["###.###.###-##"],cnpj:["##.###.###/####-##"],"cpf-cnpj":["###.###.###-##","##.###.###/####-##"],cep:["#####-###"]};static DEFAULT_MESSAGES={en:"Please enter a valid {document}.","en-US":"Please enter a valid {document}.",pt:"Digite um {document} válido.","pt-BR":"Digite um {document} válido.",es:"Ingrese un {document} válido.",fr:"Veuillez entrer un {document} valide.",de:"Bitte geben Sie eine gültige {document}-Nummer ein."};static isValidCpf(e){const t=String(e).replace(/\D/g,"");if(11!==t.length||/^(\d)\1+$/.test(t))return!1;for(let e=9;e<11;e++){let n=0;for(let r=0;r<e;r++)n+=Number(t[r])*(e+1-r);if(10*n%11%10!==Number(t[e]))return!1}return!0}static isValidCnpj(e){const t=String(e).replace(/\D/g,"");if(14!==t.length||/^(\d)\1+$/.test(t))return!1;const n=[6,5,4,3,2,9,8,7,6,5,4,3,2];for(let e=12;e<14;e++){let r=0;for(let s=0;s<e;s++)r+=Number(t[s])*n[s+13-e];const s=r%11;if((s<2?0:11-s)!==Number(t[e]))return!1}return!0}resolveOptions(e){const t=e.type||"cpf-cnpj";if(!DocumentMask.TYPES[t])throw new Error(`Invalid document type "${t}" provided to DocumentMask.`);return super.resolveOptions({...e,type:t,masks:DocumentMask.TYPES[t]})}getDocumentType(){const e=this.getUnmaskedValue().length;return"cep"===this.options.type?8===e?"cep":null:11===e&&"cnpj"!==this.options.type?"cpf":14===e&&"cpf"!==this.options.type?"cnpj":null}isValid(){if(!super.isValid())return!1;if(!this.input.value)return!0;const e=this.getUnmaskedValue();switch(this.getDocumentType()){case"cpf":return DocumentMask.isValidCpf(e);case"cnpj":return DocumentMask.isValidCnpj(e);case"cep":return!0;default:return!1}}getErrorMessage(){const e=(this.getDocumentType()||this.options.type).toUpperCase().replace("-","/");return super.getErrorMessage().replace("{document}",e)}}"undefined"!=typeof module&&module.exports&&(module.exports=DocumentMask);
\ No newline at end of file
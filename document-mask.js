@@ -0,0 +1,127 @@
+/**
+ * @fileoverview A JavaScript class for formatting and validating Brazilian documents (CPF, CNPJ, CEP).
+ * @version 1.0.0
+ * @author Bernhard Enders
+ * @license MIT
+ * @modified 2026-10-19
+ * @requires pattern-mask.js
+ */
+
+/**
+ * DocumentMask class provides masking and check digit validation for Brazilian documents
+ * @class
+ * @classdesc CPF and CNPJ are validated with their mod-11 check digits; the 'cpf-cnpj' type
+ * switches between both masks according to the number of typed digits.
+ *
+ * @example
+ * const mask = new DocumentMask('#document', { type: 'cpf-cnpj' });
+ */
+class DocumentMask extends (typeof PatternMask !== 'undefined' ? PatternMask : require('./pattern-mask.js')) {
+
+    static TOKENS = {
+        '#': { pattern: /\d/ },
+    };
+
+    static TYPES = {
+        'cpf': ['###.###.###-##'],
+        'cnpj': ['##.###.###/####-##'],
+        'cpf-cnpj': ['###.###.###-##', '##.###.###/####-##'],
+        'cep': ['#####-###'],
+    };
+
+    // {document} is replaced by the detected document name (CPF, CNPJ or CEP)
+    static DEFAULT_MESSAGES = {
+        'en': 'Please enter a valid {document}.',
+        'en-US': 'Please enter a valid {document}.',
+        'pt': 'Digite um {document} válido.',
+        'pt-BR': 'Digite um {document} válido.',
+        'es': 'Ingrese un {document} válido.',
+        'fr': 'Veuillez entrer un {document} valide.',
+        'de': 'Bitte geben Sie eine gültige {document}-Nummer ein.',
+    };
+
+    /**
+     * Validate a CPF (11 digits) by its two mod-11 check digits.
+     */
+    static isValidCpf(value) {
+        const digits = String(value).replace(/\D/g, '');
+        if (digits.length !== 11 || /^(\d)\1+$/.test(digits)) return false;
+
+        for (let checkIndex = 9; checkIndex < 11; checkIndex++) {
+            let sum = 0;
+            for (let i = 0; i < checkIndex; i++) {
+                sum += Number(digits[i]) * (checkIndex + 1 - i);
+            }
+            const checkDigit = (sum * 10) % 11 % 10;
+            if (checkDigit !== Number(digits[checkIndex])) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Validate a CNPJ (14 digits) by its two mod-11 check digits.
+     */
+    static isValidCnpj(value) {
+        const digits = String(value).replace(/\D/g, '');
+        if (digits.length !== 14 || /^(\d)\1+$/.test(digits)) return false;
+
+        const weights = [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+        for (let checkIndex = 12; checkIndex < 14; checkIndex++) {
+            let sum = 0;
+            for (let i = 0; i < checkIndex; i++) {
+                sum += Number(digits[i]) * weights[i + 13 - checkIndex];
+            }
+            const remainder = sum % 11;
+            const checkDigit = remainder < 2 ? 0 : 11 - remainder;
+            if (checkDigit !== Number(digits[checkIndex])) return false;
+        }
+        return true;
+    }
+
+    resolveOptions(options) {
+        const type = options.type || 'cpf-cnpj';
+        if (!DocumentMask.TYPES[type]) {
+            throw new Error(`Invalid document type "${type}" provided to DocumentMask.`);
+        }
+
+        return super.resolveOptions({
+            ...options,
+            type,
+            masks: DocumentMask.TYPES[type]
+        });
+    }
+
+    /**
+     * Return the type of the typed document ('cpf', 'cnpj' or 'cep'), or null while
+     * it is incomplete.
+     */
+    getDocumentType() {
+        const length = this.getUnmaskedValue().length;
+        if (this.options.type === 'cep') return length === 8 ? 'cep' : null;
+        if (length === 11 && this.options.type !== 'cnpj') return 'cpf';
+        if (length === 14 && this.options.type !== 'cpf') return 'cnpj';
+        return null;
+    }
+
+    isValid() {
+        if (!super.isValid()) return false;
+        if (!this.input.value) return true;
+
+        const digits = this.getUnmaskedValue();
+        switch (this.getDocumentType()) {
+            case 'cpf': return DocumentMask.isValidCpf(digits);
+            case 'cnpj': return DocumentMask.isValidCnpj(digits);
+            case 'cep': return true;
+            default: return false;
+        }
+    }
+
+    getErrorMessage() {
+        const documentName = (this.getDocumentType() || this.options.type).toUpperCase().replace('-', '/');
+        return super.getErrorMessage().replace('{document}', documentName);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DocumentMask;
+}
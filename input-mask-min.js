@@ -0,0 +1 @@
+class InputMask{static HISTORY_LIMIT=100;static messageCount=0;static IGNORE_MISSING_INPUT=!1;static instances=new WeakMap;static apply(t,e={}){return Array.from(document.querySelectorAll(t),t=>new this(t,e))}static getInstance(t){const e="string"==typeof t?document.querySelector(t):t,s=e?InputMask.instances.get(e):null;return s instanceof this?s:null}static findMessage(t,e=null){const s=navigator.languages||[navigator.language||navigator.userLanguage];for(const i of[...s,"en"])for(const s of[i,i.split("-")[0]]){const i=t[s]&&(null===e?t[s]:t[s][e]);if(i)return i}return null}constructor(t){if("string"==typeof t?this.input=document.querySelector(t):t instanceof HTMLElement?this.input=t:this.input=null,!this.input){if(this.constructor.IGNORE_MISSING_INPUT)return;throw new Error("string"==typeof t?`Input element not found for ${this.constructor.name}.`:`Invalid input element or selector provided to ${this.constructor.name}.`)}const e=InputMask.instances.get(this.input);e&&e.destroy()}updateOptions(t={}){const e=this.getPlainValue();this.userOptions={...this.userOptions,...t},this.configure(this.userOptions),this.options.submitRaw?this.setupSubmitRaw():this.teardownSubmitRaw(),this.teardownFeedback(),this.setupFeedback(),this.setValue(e),this.resetHistory()}destroy(){const t=this.getPlainValue();this.removeEventListeners(),this.teardownSubmitRaw(),this.teardownFeedback(),this.input.value=null===t?"":t,this.input.setCustomValidity("")}bindHandlers(){return{beforeinput:this.handleBeforeInput.bind(this),input:this.handleInput.bind(this),compositionend:this.handleCompositionEnd.bind(this),keydown:this.handleKeyDown.bind(this),blur:this.handleBlur.bind(this),invalid:this.handleInvalid.bind(this),paste:this.handlePaste.bind(this)}}setupEventListeners(){this.handlers=this.bindHandlers();for(const[t,e]of Object.entries(this.handlers))this.input.addEventListener(t,e);this.handleReset=this.handleReset.bind(this),this.form=this.input.form,this.form&&this.form.addEventListener("reset",this.handleReset),InputMask.instances.set(this.input,this)}removeEventListeners(){for(const[t,e]of Object.entries(this.handlers))this.input.removeEventListener(t,e);this.form&&this.form.removeEventListener("reset",this.handleReset),InputMask.instances.get(this.input)===this&&InputMask.instances.delete(this.input)}setupSubmitRaw(){this.options.submitRaw&&!this.hiddenInput&&(this.hiddenInput=document.createElement("input"),this.hiddenInput.type="hidden",this.hiddenInput.name=this.input.name,this.input.hasAttribute("form")&&this.hiddenInput.setAttribute("form",this.input.getAttribute("form")),this.input.removeAttribute("name"),this.input.after(this.hiddenInput),this.syncHiddenInput(),this.disabledObserver=new MutationObserver(()=>this.syncHiddenInput()),this.disabledObserver.observe(this.input,{attributes:!0,attributeFilter:["disabled"]}))}teardownSubmitRaw(){this.hiddenInput&&(this.disabledObserver.disconnect(),this.disabledObserver=null,this.input.name=this.hiddenInput.name,this.hiddenInput.remove(),this.hiddenInput=null)}syncHiddenInput(){this.hiddenInput&&(this.hiddenInput.value=this.input.value?this.getSubmitValue():"",this.hiddenInput.disabled=this.input.disabled)}setupFeedback(){if(!this.options.feedback||this.messageElement)return;this.liveRegion=document.createElement("span"),this.liveRegion.setAttribute("role","status"),this.liveRegion.setAttribute("aria-live","polite"),this.liveRegion.style.cssText="position:absolute;width:1px;height:1px;margin:-1px;padding:0;overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0;",this.input.after(this.liveRegion);const{messageContainer:t}=this.options;this.messageElement="string"==typeof t?document.querySelector(t):t,this.ownsMessageElement=!this.messageElement,this.ownsMessageElement&&(this.messageElement=document.createElement("span"),this.messageElement.className=this.options.messageClass,this.input.after(this.messageElement)),this.messageElement.id||(this.messageElement.id=`${this.input.id||"mask"}-message-${++InputMask.messageCount}`);const e=(this.input.getAttribute("aria-describedby")||"").split(/\s+/).filter(Boolean);e.includes(this.messageElement.id)||this.input.setAttribute("aria-describedby",[...e,this.messageElement.id].join(" ")),this.errorClass=this.options.errorClass,this.updateFeedback()}teardownFeedback(){if(!this.messageElement)return;const t=(this.input.getAttribute("aria-describedby")||"").split(/\s+/).filter(t=>t&&t!==this.messageElement.id);t.length>0?this.input.setAttribute("aria-describedby",t.join(" ")):this.input.removeAttribute("aria-describedby"),this.input.removeAttribute("aria-invalid"),this.errorClass&&this.input.classList.remove(this.errorClass),this.ownsMessageElement?this.messageElement.remove():this.messageElement.textContent="",this.liveRegion.remove(),this.messageElement=null,this.liveRegion=null,this.lastFeedbackMessage=""}updateFeedback(){if(!this.messageElement)return;const t=this.touched&&this.lastErrorMessage||"";t?this.input.setAttribute("aria-invalid","true"):this.input.removeAttribute("aria-invalid"),this.errorClass&&this.input.classList.toggle(this.errorClass,!!t),this.messageElement.textContent=t,t&&t!==this.lastFeedbackMessage&&this.announce(t),this.lastFeedbackMessage=t}announce(t){this.liveRegion&&(this.liveRegion.textContent=t)}handleInvalid(t){this.touched=!0,this.updateFeedback()}handleReset(){setTimeout(()=>this.setValue(this.input.value))}handleKeyDown(t){const{ctrlKey:e,metaKey:s,altKey:i,shiftKey:n}=t;if(!e&&!s||i||!t.key)return;const r=t.key.toLowerCase();"z"!==r||n?"z"!==r&&"y"!==r||(t.preventDefault(),this.redo()):(t.preventDefault(),this.undo())}handleBeforeInput(t){if(t.cancelable)switch(t.inputType){case"deleteContentBackward":case"deleteContentForward":t.preventDefault(),this.deleteRange("deleteContentForward"===t.inputType);break;case"historyUndo":t.preventDefault(),this.undo();break;case"historyRedo":t.preventDefault(),this.redo();break;case"insertText":t.data&&!this.acceptsText(t.data)&&t.preventDefault()}}handleCompositionEnd(t){this.handleInput(t)}resetHistory(){this.history=[this.getHistoryEntry()],this.historyIndex=0}getHistoryEntry(){const{value:t,selectionStart:e,selectionEnd:s}=this.input;return{value:t,selectionStart:e,selectionEnd:s}}recordHistory(){if(!this.history)return;const t=this.getHistoryEntry();t.value!==this.history[this.historyIndex].value?(this.history.splice(this.historyIndex+1,this.history.length,t),this.history.length>this.constructor.HISTORY_LIMIT&&this.history.shift(),this.historyIndex=this.history.length-1):this.history[this.historyIndex]=t}undo(){return this.restoreHistory(this.historyIndex-1)}redo(){return this.restoreHistory(this.historyIndex+1)}restoreHistory(t){if(!this.history||t<0||t>=this.history.length)return!1;const e=this.history[t];return this.historyIndex=t,this.restoreValue(e.value),this.notifyChanges(),null!==e.selectionStart&&this.input.setSelectionRange(e.selectionStart,e.selectionEnd),!0}updateValidity(){const t=this.getError(),e=t?t.message:"",s=!!e&&e!==this.lastErrorMessage;return this.input.setCustomValidity(e),this.lastErrorMessage=e,this.updateFeedback(),s?t:null}validateInput(){const t=this.updateValidity();t&&this.dispatch("invalid",t)}dispatch(t,e={}){this.initialized&&this.input.dispatchEvent(new CustomEvent(`mask:${t}`,{bubbles:!0,detail:{formattedValue:this.input.value,...this.getEventDetail(),...e}}))}}"undefined"!=typeof module&&module.exports&&(module.exports=InputMask);
\ No newline at end of file
@@ -0,0 +1,487 @@
+/**
+ * @fileoverview Behavior shared by the masks bound to an input: events, feedback, raw submission and undo history.
+ * @version 1.0.0
+ * @author Bernhard Enders
+ * @license MIT
+ * @modified 2026-10-19
+ */
+
+/**
+ * InputMask class is the base of MoneyMask and PatternMask
+ * @class
+ * @classdesc Handles what every mask does around the input, whatever its format: listening to
+ * edits, submitting the clean value through a hidden input, showing validation messages,
+ * keeping an undo history and dispatching "mask:*" events.
+ *
+ * Subclasses set `this.options` in configure(), and provide handleInput, handlePaste,
+ * handleBlur, deleteRange, acceptsText, setValue, getValue, getPlainValue, notifyChanges,
+ * restoreValue, getSubmitValue, getError and getEventDetail.
+ */
+class InputMask {
+
+    /**
+     * Number of values kept by the undo history.
+     */
+    static HISTORY_LIMIT = 100;
+
+    /**
+     * Number of message elements given an id by the feedback layer.
+     */
+    static messageCount = 0;
+
+    /**
+     * Whether a missing input is ignored, leaving an inert instance, instead of throwing.
+     */
+    static IGNORE_MISSING_INPUT = false;
+
+    /**
+     * Instances by input element, so masks can be found and replaced later.
+     */
+    static instances = new WeakMap();
+
+    /**
+     * Apply mask to all inputs matching selector and return the created instances.
+     */
+    static apply(selector, options = {}) {
+        return Array.from(document.querySelectorAll(selector), input => new this(input, options));
+    }
+
+    /**
+     * Return the mask instance of this class attached to an element (or selector), or null.
+     */
+    static getInstance(element) {
+        const input = typeof element === 'string' ? document.querySelector(element) : element;
+        const instance = input ? InputMask.instances.get(input) : null;
+        return instance instanceof this ? instance : null;
+    }
+
+    /**
+     * Return the message for the user's languages, trying each of navigator.languages, then its
+     * general language ("pt" for "pt-BR"), then English. Messages are keyed by language; with a
+     * key, each language holds one message per key (e.g. { en: { min: '...' } }).
+     * Returns null when no language has a message.
+     */
+    static findMessage(messages, key = null) {
+        const userLanguages = navigator.languages || [navigator.language || navigator.userLanguage];
+        for (const language of [...userLanguages, 'en']) {
+            for (const code of [language, language.split('-')[0]]) {
+                const message = messages[code] && (key === null ? messages[code] : messages[code][key]);
+                if (message) return message;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find the input and detach the mask it already has. Subclasses configure and attach
+     * themselves afterwards.
+     */
+    constructor(inputElementOrSelector) {
+        if (typeof inputElementOrSelector === 'string') {
+            this.input = document.querySelector(inputElementOrSelector);
+        } else if (inputElementOrSelector instanceof HTMLElement) {
+            this.input = inputElementOrSelector;
+        } else {
+            this.input = null;
+        }
+
+        if (!this.input) {
+            if (this.constructor.IGNORE_MISSING_INPUT) return;
+            throw new Error(typeof inputElementOrSelector === 'string'
+                ? `Input element not found for ${this.constructor.name}.`
+                : `Invalid input element or selector provided to ${this.constructor.name}.`);
+        }
+
+        // Never stack masks on the same input
+        const previous = InputMask.instances.get(this.input);
+        if (previous) {
+            previous.destroy();
+        }
+    }
+
+    /**
+     * Change options in place, keeping the value (see getPlainValue), and reformat.
+     */
+    updateOptions(options = {}) {
+        const value = this.getPlainValue();
+        this.userOptions = { ...this.userOptions, ...options };
+        this.configure(this.userOptions);
+        if (this.options.submitRaw) {
+            this.setupSubmitRaw();
+        } else {
+            this.teardownSubmitRaw();
+        }
+        this.teardownFeedback();
+        this.setupFeedback();
+        this.setValue(value);
+        // Older values were formatted with the previous options
+        this.resetHistory();
+    }
+
+    /**
+     * Detach the mask: remove its listeners, hidden input, feedback and custom validity, and
+     * leave the plain value (see getPlainValue) in the input.
+     */
+    destroy() {
+        const value = this.getPlainValue();
+        this.removeEventListeners();
+        this.teardownSubmitRaw();
+        this.teardownFeedback();
+        this.input.value = value === null ? '' : value;
+        this.input.setCustomValidity('');
+    }
+
+    /**
+     * Return the input's event handlers, bound to the instance.
+     */
+    bindHandlers() {
+        return {
+            beforeinput: this.handleBeforeInput.bind(this),
+            input: this.handleInput.bind(this),
+            compositionend: this.handleCompositionEnd.bind(this),
+            keydown: this.handleKeyDown.bind(this),
+            blur: this.handleBlur.bind(this),
+            invalid: this.handleInvalid.bind(this),
+            paste: this.handlePaste.bind(this),
+        };
+    }
+
+    setupEventListeners() {
+        // Keep the bound handlers, so destroy() can remove them
+        this.handlers = this.bindHandlers();
+        for (const [type, handler] of Object.entries(this.handlers)) {
+            this.input.addEventListener(type, handler);
+        }
+
+        this.handleReset = this.handleReset.bind(this);
+        this.form = this.input.form;
+        if (this.form) {
+            this.form.addEventListener('reset', this.handleReset);
+        }
+        // The input is masked from now on, and a new mask replaces this one
+        InputMask.instances.set(this.input, this);
+    }
+
+    removeEventListeners() {
+        for (const [type, handler] of Object.entries(this.handlers)) {
+            this.input.removeEventListener(type, handler);
+        }
+        if (this.form) {
+            this.form.removeEventListener('reset', this.handleReset);
+        }
+        if (InputMask.instances.get(this.input) === this) {
+            InputMask.instances.delete(this.input);
+        }
+    }
+
+    /**
+     * Move the input's name to a hidden input holding the value returned by getSubmitValue
+     * (e.g. "12345678" or "1234.56"), so forms submit clean data.
+     */
+    setupSubmitRaw() {
+        if (!this.options.submitRaw || this.hiddenInput) return;
+
+        this.hiddenInput = document.createElement('input');
+        this.hiddenInput.type = 'hidden';
+        this.hiddenInput.name = this.input.name;
+        if (this.input.hasAttribute('form')) {
+            this.hiddenInput.setAttribute('form', this.input.getAttribute('form'));
+        }
+        this.input.removeAttribute('name');
+        this.input.after(this.hiddenInput);
+        this.syncHiddenInput();
+
+        // Disabling the input changes no value, so it is watched on its own
+        this.disabledObserver = new MutationObserver(() => this.syncHiddenInput());
+        this.disabledObserver.observe(this.input, { attributes: true, attributeFilter: ['disabled'] });
+    }
+
+    /**
+     * Give the name back to the visible input and remove the hidden one.
+     */
+    teardownSubmitRaw() {
+        if (!this.hiddenInput) return;
+        this.disabledObserver.disconnect();
+        this.disabledObserver = null;
+        this.input.name = this.hiddenInput.name;
+        this.hiddenInput.remove();
+        this.hiddenInput = null;
+    }
+
+    syncHiddenInput() {
+        if (!this.hiddenInput) return;
+        this.hiddenInput.value = this.input.value ? this.getSubmitValue() : '';
+        this.hiddenInput.disabled = this.input.disabled;
+    }
+
+    /**
+     * Render validation messages into an element linked through aria-describedby, mark the
+     * input with aria-invalid and announce errors and completed values through a polite
+     * live region. Errors are shown once the user has left the field (or submitted the form).
+     */
+    setupFeedback() {
+        if (!this.options.feedback || this.messageElement) return;
+
+        this.liveRegion = document.createElement('span');
+        this.liveRegion.setAttribute('role', 'status');
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        // Visually hidden, but still read by screen readers
+        this.liveRegion.style.cssText = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;' +
+            'overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0;';
+        this.input.after(this.liveRegion);
+
+        const { messageContainer } = this.options;
+        this.messageElement = typeof messageContainer === 'string'
+            ? document.querySelector(messageContainer)
+            : messageContainer;
+        this.ownsMessageElement = !this.messageElement;
+        if (this.ownsMessageElement) {
+            this.messageElement = document.createElement('span');
+            this.messageElement.className = this.options.messageClass;
+            this.input.after(this.messageElement);
+        }
+        if (!this.messageElement.id) {
+            this.messageElement.id = `${this.input.id || 'mask'}-message-${++InputMask.messageCount}`;
+        }
+
+        const describedBy = (this.input.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+        if (!describedBy.includes(this.messageElement.id)) {
+            this.input.setAttribute('aria-describedby', [...describedBy, this.messageElement.id].join(' '));
+        }
+
+        // Remembered, so teardownFeedback() removes it even after the options change
+        this.errorClass = this.options.errorClass;
+        this.updateFeedback();
+    }
+
+    /**
+     * Remove the feedback elements and attributes added by setupFeedback().
+     */
+    teardownFeedback() {
+        if (!this.messageElement) return;
+
+        const describedBy = (this.input.getAttribute('aria-describedby') || '').split(/\s+/)
+            .filter(id => id && id !== this.messageElement.id);
+        if (describedBy.length > 0) {
+            this.input.setAttribute('aria-describedby', describedBy.join(' '));
+        } else {
+            this.input.removeAttribute('aria-describedby');
+        }
+        this.input.removeAttribute('aria-invalid');
+        if (this.errorClass) {
+            this.input.classList.remove(this.errorClass);
+        }
+
+        if (this.ownsMessageElement) {
+            this.messageElement.remove();
+        } else {
+            this.messageElement.textContent = '';
+        }
+        this.liveRegion.remove();
+        this.messageElement = null;
+        this.liveRegion = null;
+        this.lastFeedbackMessage = '';
+    }
+
+    /**
+     * Show the current validation message, if the user has left the field, and announce it.
+     */
+    updateFeedback() {
+        if (!this.messageElement) return;
+
+        const message = this.touched ? this.lastErrorMessage || '' : '';
+        if (message) {
+            this.input.setAttribute('aria-invalid', 'true');
+        } else {
+            this.input.removeAttribute('aria-invalid');
+        }
+        if (this.errorClass) {
+            this.input.classList.toggle(this.errorClass, !!message);
+        }
+        this.messageElement.textContent = message;
+
+        if (message && message !== this.lastFeedbackMessage) {
+            this.announce(message);
+        }
+        this.lastFeedbackMessage = message;
+    }
+
+    /**
+     * Read a text out through the live region, if feedback is enabled.
+     */
+    announce(text) {
+        if (this.liveRegion) {
+            this.liveRegion.textContent = text;
+        }
+    }
+
+    /**
+     * The browser reports the input as invalid on form submission: show the message now.
+     */
+    handleInvalid(event) {
+        this.touched = true;
+        this.updateFeedback();
+    }
+
+    /**
+     * The form restores the input's default value after the reset event, so reapply
+     * the mask once it's done.
+     */
+    handleReset() {
+        setTimeout(() => this.setValue(this.input.value));
+    }
+
+    /**
+     * Undo with Ctrl/Cmd+Z and redo with Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y.
+     */
+    handleKeyDown(event) {
+        const { ctrlKey, metaKey, altKey, shiftKey } = event;
+        if (!(ctrlKey || metaKey) || altKey || !event.key) return;
+
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !shiftKey) {
+            event.preventDefault();
+            this.undo();
+        } else if (key === 'z' || key === 'y') {
+            event.preventDefault();
+            this.redo();
+        }
+    }
+
+    /**
+     * Filter edits before the browser applies them, whatever their source (physical or
+     * virtual keyboard, dictation): block text that acceptsText refuses. Edits that can't be
+     * canceled, paste, drops and autofill are normalized afterwards by handleInput.
+     */
+    handleBeforeInput(event) {
+        if (!event.cancelable) return;
+
+        switch (event.inputType) {
+            // Delete ourselves, so literals and separators are skipped and the caret stays in place
+            case 'deleteContentBackward':
+            case 'deleteContentForward':
+                event.preventDefault();
+                this.deleteRange(event.inputType === 'deleteContentForward');
+                break;
+            case 'historyUndo':
+                event.preventDefault();
+                this.undo();
+                break;
+            case 'historyRedo':
+                event.preventDefault();
+                this.redo();
+                break;
+            case 'insertText':
+                if (event.data && !this.acceptsText(event.data)) {
+                    event.preventDefault();
+                }
+                break;
+        }
+    }
+
+    handleCompositionEnd(event) {
+        this.handleInput(event);
+    }
+
+    /**
+     * Start a new edit history holding only the current value.
+     */
+    resetHistory() {
+        this.history = [this.getHistoryEntry()];
+        this.historyIndex = 0;
+    }
+
+    getHistoryEntry() {
+        const { value, selectionStart, selectionEnd } = this.input;
+        return { value, selectionStart, selectionEnd };
+    }
+
+    /**
+     * Record the current value and caret after a change. Assigning input.value wipes the
+     * browser's own undo stack, so the mask keeps one. When only the caret moved, the
+     * current entry is updated instead.
+     */
+    recordHistory() {
+        if (!this.history) return;
+        const entry = this.getHistoryEntry();
+        if (entry.value === this.history[this.historyIndex].value) {
+            this.history[this.historyIndex] = entry;
+            return;
+        }
+
+        // A new change drops the entries that could have been redone
+        this.history.splice(this.historyIndex + 1, this.history.length, entry);
+        if (this.history.length > this.constructor.HISTORY_LIMIT) {
+            this.history.shift();
+        }
+        this.historyIndex = this.history.length - 1;
+    }
+
+    /**
+     * Go back to the previous value. Returns false when there is nothing to undo.
+     */
+    undo() {
+        return this.restoreHistory(this.historyIndex - 1);
+    }
+
+    /**
+     * Reapply the last undone change. Returns false when there is nothing to redo.
+     */
+    redo() {
+        return this.restoreHistory(this.historyIndex + 1);
+    }
+
+    restoreHistory(index) {
+        if (!this.history || index < 0 || index >= this.history.length) return false;
+
+        const entry = this.history[index];
+        this.historyIndex = index;
+        this.restoreValue(entry.value);
+        this.notifyChanges();
+        if (entry.selectionStart !== null) {
+            this.input.setSelectionRange(entry.selectionStart, entry.selectionEnd);
+        }
+        return true;
+    }
+
+    /**
+     * Report the validity of the current value through the Constraint Validation API and the
+     * feedback layer. Returns the error when the value starts failing or its message changes.
+     * @returns {{message: string}|null}
+     */
+    updateValidity() {
+        const error = this.getError();
+        const message = error ? error.message : '';
+        const isNewError = !!message && message !== this.lastErrorMessage;
+        this.input.setCustomValidity(message);
+        this.lastErrorMessage = message;
+        this.updateFeedback();
+        return isNewError ? error : null;
+    }
+
+    validateInput() {
+        const newError = this.updateValidity();
+        if (newError) {
+            this.dispatch('invalid', newError);
+        }
+    }
+
+    /**
+     * Dispatch a bubbling "mask:<type>" CustomEvent on the input.
+     */
+    dispatch(type, detail = {}) {
+        if (!this.initialized) return;
+        this.input.dispatchEvent(new CustomEvent(`mask:${type}`, {
+            bubbles: true,
+            detail: {
+                formattedValue: this.input.value,
+                ...this.getEventDetail(),
+                ...detail
+            }
+        }));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InputMask;
+}
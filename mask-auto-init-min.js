@@ -0,0 +1 @@
+class MaskAutoInit{static ATTRIBUTE="data-mask";static types={money:()=>"undefined"!=typeof MoneyMask?MoneyMask:null,phone:()=>"undefined"!=typeof PhoneNumberMask?PhoneNumberMask:null,pattern:()=>"undefined"!=typeof PatternMask?PatternMask:null,document:()=>"undefined"!=typeof DocumentMask?DocumentMask:null,card:()=>"undefined"!=typeof CreditCardMask?CreditCardMask:null,"card-expiry":()=>"undefined"!=typeof CardExpiryMask?CardExpiryMask:null,"card-cvv":()=>"undefined"!=typeof CardCvvMask?CardCvvMask:null,date:()=>"undefined"!=typeof DateMask?DateMask:null};static BOOLEAN_OPTIONS=["allowNegative","selectOnFocus","required","clampOnBlur","percentAsFraction","submitRaw","feedback","guide","international"];static observers=new Map;static autoStart=!0;static register(t,e){this.types[t]=()=>e}static getMaskClass(t){const e=this.types[t];return e?e():null}static init(t=document.documentElement){const e=this.scan(t);if(!this.observers.has(t)){const e=new MutationObserver(t=>this.handleMutations(t));e.observe(t,{childList:!0,subtree:!0}),this.observers.set(t,e)}return e}static disconnect(t){for(const[e,s]of this.observers)t&&e!==t||(s.disconnect(),this.observers.delete(e))}static scan(t){const e=Array.from(t.querySelectorAll(`[${this.ATTRIBUTE}]`));t.matches&&t.matches(`[${this.ATTRIBUTE}]`)&&e.unshift(t);const s=[];for(const t of e){const e=this.initElement(t);e&&s.push(e)}return s}static initElement(t){if(this.getInstance(t))return null;const e=t.getAttribute(this.ATTRIBUTE),s=this.getMaskClass(e);if(!s)return null;try{return new s(t,this.getOptions(t))}catch(s){return t.dispatchEvent(new CustomEvent("mask:error",{bubbles:!0,detail:{type:e,error:s}})),null}}static getInstance(t){for(const e of Object.keys(this.types)){const s=this.getMaskClass(e),n=s&&s.getInstance?s.getInstance(t):null;if(n)return n}return null}static getOptions(t){const e={};for(const[s,n]of Object.entries(t.dataset)){if(s.length<=4||!s.startsWith("mask"))continue;const t=s.charAt(4).toLowerCase()+s.slice(5);e[t]=!(""!==n||!this.BOOLEAN_OPTIONS.includes(t))||this.parseValue(n)}return e}static parseValue(t){const e=t.trim();if(/^[[{]/.test(e)||["true","false","null"].includes(e))try{return JSON.parse(e)}catch(e){return t}return/^-?\d+$/.test(e)&&Number.isSafeInteger(Number(e))?Number(e):t}static handleMutations(t){for(const e of t)e.removedNodes.forEach(t=>{t.nodeType!==Node.ELEMENT_NODE||t.isConnected||this.destroyElements(t)}),e.addedNodes.forEach(t=>{t.nodeType===Node.ELEMENT_NODE&&t.isConnected&&this.scan(t)})}static destroyElements(t){const e=Array.from(t.querySelectorAll(`[${this.ATTRIBUTE}]`));t.matches(`[${this.ATTRIBUTE}]`)&&e.unshift(t);for(const t of e){const e=this.getInstance(t);e&&e.destroy()}}}if("undefined"!=typeof document){const t=()=>{MaskAutoInit.autoStart&&MaskAutoInit.init()};"loading"===document.readyState?document.addEventListener("DOMContentLoaded",t):setTimeout(t)}
\ No newline at end of file
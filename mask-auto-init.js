@@ -0,0 +1,213 @@
+/**
+ * @fileoverview Declarative initialization of masks from data attributes.
+ * @version 1.0.0
+ * @author Bernhard Enders
+ * @license MIT
+ * @modified 2026-10-19
+ */
+
+/**
+ * MaskAutoInit class masks every input with a data-mask attribute, including inputs added later
+ * @class
+ * @classdesc Options are read from data-mask-* attributes (data-mask-allow-negative becomes
+ * allowNegative). A MutationObserver masks added inputs and destroys the masks of removed ones.
+ * Load it together with the mask scripts; it starts by itself once the DOM is ready.
+ *
+ * @example
+ * <input data-mask="money" data-mask-prefix="R$ " data-mask-precision="2">
+ * <input data-mask="phone" data-mask-masks='["(##) ####-####", "(##) #####-####"]'>
+ */
+class MaskAutoInit {
+
+    static ATTRIBUTE = 'data-mask';
+
+    /**
+     * Mask classes by data-mask value. The built-in ones are looked up when needed, so the
+     * mask scripts can be loaded in any order.
+     */
+    static types = {
+        'money': () => typeof MoneyMask !== 'undefined' ? MoneyMask : null,
+        'phone': () => typeof PhoneNumberMask !== 'undefined' ? PhoneNumberMask : null,
+        'pattern': () => typeof PatternMask !== 'undefined' ? PatternMask : null,
+        'document': () => typeof DocumentMask !== 'undefined' ? DocumentMask : null,
+        'card': () => typeof CreditCardMask !== 'undefined' ? CreditCardMask : null,
+        'card-expiry': () => typeof CardExpiryMask !== 'undefined' ? CardExpiryMask : null,
+        'card-cvv': () => typeof CardCvvMask !== 'undefined' ? CardCvvMask : null,
+        'date': () => typeof DateMask !== 'undefined' ? DateMask : null,
+    };
+
+    /**
+     * Options that are true when their attribute is present without a value, e.g.
+     * <input data-mask="phone" data-mask-guide>.
+     */
+    static BOOLEAN_OPTIONS = [
+        'allowNegative', 'selectOnFocus', 'required', 'clampOnBlur', 'percentAsFraction',
+        'submitRaw', 'feedback', 'guide', 'international',
+    ];
+
+    static observers = new Map();
+
+    /**
+     * Set to false before the DOM is ready to call init() yourself.
+     */
+    static autoStart = true;
+
+    /**
+     * Register a mask class for a data-mask value.
+     */
+    static register(type, maskClass) {
+        this.types[type] = () => maskClass;
+    }
+
+    static getMaskClass(type) {
+        const resolve = this.types[type];
+        return resolve ? resolve() : null;
+    }
+
+    /**
+     * Mask every [data-mask] element inside root and keep watching it for changes.
+     * Returns the created instances.
+     */
+    static init(root = document.documentElement) {
+        const instances = this.scan(root);
+
+        if (!this.observers.has(root)) {
+            const observer = new MutationObserver(mutations => this.handleMutations(mutations));
+            observer.observe(root, { childList: true, subtree: true });
+            this.observers.set(root, observer);
+        }
+        return instances;
+    }
+
+    /**
+     * Stop watching root (or every root). Existing masks are kept.
+     */
+    static disconnect(root) {
+        for (const [observedRoot, observer] of this.observers) {
+            if (!root || observedRoot === root) {
+                observer.disconnect();
+                this.observers.delete(observedRoot);
+            }
+        }
+    }
+
+    /**
+     * Mask every [data-mask] element inside root, root included, that isn't masked yet.
+     */
+    static scan(root) {
+        const elements = Array.from(root.querySelectorAll(`[${this.ATTRIBUTE}]`));
+        if (root.matches && root.matches(`[${this.ATTRIBUTE}]`)) {
+            elements.unshift(root);
+        }
+
+        const instances = [];
+        for (const element of elements) {
+            const instance = this.initElement(element);
+            if (instance) instances.push(instance);
+        }
+        return instances;
+    }
+
+    /**
+     * Mask a single element, unless it already has a mask.
+     */
+    static initElement(element) {
+        if (this.getInstance(element)) return null;
+
+        const type = element.getAttribute(this.ATTRIBUTE);
+        const MaskClass = this.getMaskClass(type);
+        if (!MaskClass) return null;
+
+        try {
+            return new MaskClass(element, this.getOptions(element));
+        } catch (error) {
+            // A misconfigured input shouldn't keep the others from being masked
+            element.dispatchEvent(new CustomEvent('mask:error', { bubbles: true, detail: { type, error } }));
+            return null;
+        }
+    }
+
+    /**
+     * Return the mask instance attached to an element, whatever its class.
+     */
+    static getInstance(element) {
+        for (const type of Object.keys(this.types)) {
+            const maskClass = this.getMaskClass(type);
+            const instance = maskClass && maskClass.getInstance ? maskClass.getInstance(element) : null;
+            if (instance) return instance;
+        }
+        return null;
+    }
+
+    /**
+     * Map data-mask-* attributes to constructor options.
+     */
+    static getOptions(element) {
+        const options = {};
+        for (const [key, value] of Object.entries(element.dataset)) {
+            if (key.length <= 4 || !key.startsWith('mask')) continue;
+            const name = key.charAt(4).toLowerCase() + key.slice(5);
+            options[name] = value === '' && this.BOOLEAN_OPTIONS.includes(name) ? true : this.parseValue(value);
+        }
+        return options;
+    }
+
+    /**
+     * JSON arrays, objects, booleans, null and safe integers are parsed; anything else,
+     * including decimals such as "0.01", stays a string so no precision is lost.
+     */
+    static parseValue(value) {
+        const trimmed = value.trim();
+        if (/^[[{]/.test(trimmed) || ['true', 'false', 'null'].includes(trimmed)) {
+            try {
+                return JSON.parse(trimmed);
+            } catch (error) {
+                return value;
+            }
+        }
+        if (/^-?\d+$/.test(trimmed) && Number.isSafeInteger(Number(trimmed))) {
+            return Number(trimmed);
+        }
+        return value;
+    }
+
+    static handleMutations(mutations) {
+        for (const mutation of mutations) {
+            mutation.removedNodes.forEach(node => {
+                // Nodes that were only moved are still connected
+                if (node.nodeType === Node.ELEMENT_NODE && !node.isConnected) {
+                    this.destroyElements(node);
+                }
+            });
+            mutation.addedNodes.forEach(node => {
+                if (node.nodeType === Node.ELEMENT_NODE && node.isConnected) {
+                    this.scan(node);
+                }
+            });
+        }
+    }
+
+    static destroyElements(root) {
+        const elements = Array.from(root.querySelectorAll(`[${this.ATTRIBUTE}]`));
+        if (root.matches(`[${this.ATTRIBUTE}]`)) {
+            elements.unshift(root);
+        }
+
+        for (const element of elements) {
+            const instance = this.getInstance(element);
+            if (instance) instance.destroy();
+        }
+    }
+}
+
+if (typeof document !== 'undefined') {
+    const start = () => {
+        if (MaskAutoInit.autoStart) MaskAutoInit.init();
+    };
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', start);
+    } else {
+        // Let the other mask scripts, loaded right after this one, run first
+        setTimeout(start);
+    }
+}
@@ -0,0 +1 @@
+class MaskedInputElement extends HTMLElement{static formAssociated=!0;static OPTIONS={};static OPTION_NAMES={};static FORWARDED_ATTRIBUTES=["placeholder","readonly","autocomplete","inputmode","aria-label"];static VALIDITY_FLAGS=["valueMissing","typeMismatch","patternMismatch","tooLong","tooShort","rangeUnderflow","rangeOverflow","stepMismatch","badInput","customError"];static FORWARDED_EVENTS=["change","mask:change","mask:complete","mask:invalid","mask:maskswitch"];static get observedAttributes(){return["value",...this.FORWARDED_ATTRIBUTES,...Object.keys(this.OPTIONS)]}static get MaskClass(){throw new Error(`${this.name} must define its MaskClass.`)}constructor(){super(),this.internals=this.attachInternals(),this.attachShadow({mode:"open",delegatesFocus:!0});const t=document.createElement("style");t.textContent=":host { display: inline-block; } input { box-sizing: border-box; width: 100%; font: inherit; color: inherit; }",this.input=document.createElement("input"),this.input.type="text",this.input.setAttribute("part","input"),this.shadowRoot.append(t,this.input),this.mask=null,this.dirty=!1,this.input.addEventListener("mask:change",()=>{this.dirty=!0,this.updateFormState()}),this.input.addEventListener("mask:invalid",()=>this.updateFormState());for(const t of this.constructor.FORWARDED_EVENTS)this.input.addEventListener(t,t=>this.forwardEvent(t))}connectedCallback(){if(!this.mask){for(const t of this.constructor.FORWARDED_ATTRIBUTES)this.forwardAttribute(t);!this.hasAttribute("aria-label")&&this.internals.labels&&this.internals.labels.length>0&&this.input.setAttribute("aria-label",this.internals.labels[0].textContent.trim()),this.dirty||(this.input.value=this.defaultValue),this.createMask()}}attributeChangedCallback(t,e,s){this.mask&&e!==s&&("value"===t?this.dirty||this.setMaskValue(s):this.constructor.FORWARDED_ATTRIBUTES.includes(t)?(this.forwardAttribute(t),this.mask.validateInput(),this.updateFormState()):this.createMask())}createMask(){const t=this.constructor.MaskClass;this.mask=new t(this.input,this.getOptions()),this.updateFormState()}getOptions(){const t={};for(const[e,s]of Object.entries(this.constructor.OPTIONS)){if(!this.hasAttribute(e))continue;t[this.constructor.OPTION_NAMES[e]||e.replace(/-([a-z])/g,(t,e)=>e.toUpperCase())]=this.parseAttribute(this.getAttribute(e),s)}return t}parseAttribute(t,e){switch(e){case"boolean":return"false"!==t;case"number":return Number(t);case"json":return JSON.parse(t);default:return t}}forwardAttribute(t){this.hasAttribute(t)?this.input.setAttribute(t,this.getAttribute(t)):this.input.removeAttribute(t)}forwardEvent(t){this.dispatchEvent(t instanceof CustomEvent?new CustomEvent(t.type,{bubbles:!0,detail:t.detail}):new Event(t.type,{bubbles:!0}))}updateFormState(){if(!this.mask)return;this.internals.setFormValue(this.getFormValue(),this.input.value);const{validity:t,validationMessage:e}=this.input,s={};for(const e of this.constructor.VALIDITY_FLAGS)t[e]&&(s[e]=!0);this.internals.setValidity(s,e,this.input)}getFormValue(){return this.mask.getUnmaskedValue()}setMaskValue(t){this.applyChange(()=>this.mask.setValue(null==t?"":t))}applyChange(t){const{dirty:e}=this;t(),this.dirty=e,this.updateFormState()}get value(){return this.mask?this.getFormValue():this.getAttribute("value")||""}set value(t){this.dirty=!0,this.mask?this.setMaskValue(t):this.input.value=null==t?"":String(t)}get valueAsNumber(){const t=this.value;return""===t?NaN:Number(t)}set valueAsNumber(t){this.value=Number.isFinite(t)?t:""}get formattedValue(){return this.input.value}get defaultValue(){return this.getAttribute("value")||""}set defaultValue(t){this.setAttribute("value",t)}get disabled(){return this.hasAttribute("disabled")}set disabled(t){this.toggleAttribute("disabled",!!t)}get name(){return this.getAttribute("name")}set name(t){this.setAttribute("name",t)}get form(){return this.internals.form}get labels(){return this.internals.labels}get validity(){return this.internals.validity}get validationMessage(){return this.internals.validationMessage}get willValidate(){return this.internals.willValidate}checkValidity(){return this.internals.checkValidity()}reportValidity(){return this.internals.reportValidity()}formDisabledCallback(t){this.input.disabled=t}formResetCallback(){this.dirty=!1,this.setMaskValue(this.defaultValue)}formStateRestoreCallback(t){this.setMaskValue(t)}}class MoneyInputElement extends MaskedInputElement{static OPTIONS={locale:"string",currency:"string","currency-display":"string","currency-select":"string","number-style":"string","percent-as-fraction":"boolean",decimal:"string",thousands:"string",grouping:"json",precision:"number",prefix:"string",suffix:"string","allow-negative":"boolean","select-on-focus":"boolean",min:"string",max:"string",required:"boolean","clamp-on-blur":"boolean",messages:"json",feedback:"boolean","error-class":"string","message-class":"string"};static OPTION_NAMES={"number-style":"style"};static get MaskClass(){return MoneyMask}attributeChangedCallback(t,e,s){"currency"===t&&this.mask&&s&&e!==s?this.applyChange(()=>this.mask.setCurrency(s)):super.attributeChangedCallback(t,e,s)}getFormValue(){const t=this.mask.getValueAsString();return null===t?"":t}}class PhoneInputElement extends MaskedInputElement{static FORWARDED_ATTRIBUTES=[...MaskedInputElement.FORWARDED_ATTRIBUTES,"required"];static OPTIONS={masks:"json",country:"string",international:"boolean",guide:"boolean","placeholder-char":"string",messages:"json",feedback:"boolean","error-class":"string","message-class":"string"};static get MaskClass(){return PhoneNumberMask}constructor(){super(),this.input.type="tel"}getFormValue(){return this.input.value?this.mask.getSubmitValue():""}updateFormState(){super.updateFormState(),!this.mask||this.input.value||this.input.required||this.internals.setValidity({})}}"undefined"!=typeof customElements&&(customElements.get("money-input")||customElements.define("money-input",MoneyInputElement),customElements.get("phone-input")||customElements.define("phone-input",PhoneInputElement));
\ No newline at end of file
@@ -0,0 +1,391 @@
+/**
+ * @fileoverview Form-associated custom elements wrapping the masks: <money-input> and <phone-input>.
+ * @version 1.0.0
+ * @author Bernhard Enders
+ * @license MIT
+ * @modified 2026-10-19
+ * @requires money-mask.js for <money-input>
+ * @requires pattern-mask.js and phone-mask.js for <phone-input>
+ */
+
+/**
+ * MaskedInputElement is the base of the masked custom elements
+ * @class
+ * @classdesc Renders an input in its shadow root and masks it. Options are read from
+ * attributes (allow-negative becomes allowNegative) and the mask is rebuilt when they change.
+ * Through ElementInternals, the element takes part in forms with the unmasked value, and
+ * reports the mask's validity, like a native input.
+ *
+ * @example
+ * <form>
+ *   <money-input name="price" locale="de-DE" currency="EUR" min="1" required></money-input>
+ *   <phone-input name="phone" country="BR" guide></phone-input>
+ * </form>
+ */
+class MaskedInputElement extends HTMLElement {
+
+    static formAssociated = true;
+
+    /**
+     * Attributes mapped to mask options, with the type their value is parsed as
+     * ('string', 'number', 'boolean' or 'json').
+     */
+    static OPTIONS = {};
+
+    /**
+     * Options whose name isn't their attribute's in camelCase, e.g. because the attribute's own
+     * name is a global HTML attribute.
+     */
+    static OPTION_NAMES = {};
+
+    /**
+     * Attributes copied to the inner input.
+     */
+    static FORWARDED_ATTRIBUTES = ['placeholder', 'readonly', 'autocomplete', 'inputmode', 'aria-label'];
+
+    static VALIDITY_FLAGS = [
+        'valueMissing', 'typeMismatch', 'patternMismatch', 'tooLong', 'tooShort',
+        'rangeUnderflow', 'rangeOverflow', 'stepMismatch', 'badInput', 'customError',
+    ];
+
+    // Events of the inner input that don't cross the shadow root by themselves
+    static FORWARDED_EVENTS = ['change', 'mask:change', 'mask:complete', 'mask:invalid', 'mask:maskswitch'];
+
+    static get observedAttributes() {
+        return ['value', ...this.FORWARDED_ATTRIBUTES, ...Object.keys(this.OPTIONS)];
+    }
+
+    /**
+     * The mask class to apply, e.g. MoneyMask. Looked up when needed, so the scripts can
+     * be loaded in any order.
+     */
+    static get MaskClass() {
+        throw new Error(`${this.name} must define its MaskClass.`);
+    }
+
+    constructor() {
+        super();
+        this.internals = this.attachInternals();
+        this.attachShadow({ mode: 'open', delegatesFocus: true });
+
+        const style = document.createElement('style');
+        style.textContent = ':host { display: inline-block; } ' +
+            'input { box-sizing: border-box; width: 100%; font: inherit; color: inherit; }';
+        this.input = document.createElement('input');
+        this.input.type = 'text';
+        this.input.setAttribute('part', 'input');
+        this.shadowRoot.append(style, this.input);
+
+        this.mask = null;
+        // Like a native input, the value attribute only applies until the user edits the value
+        this.dirty = false;
+
+        // The mask reports every edit once it has reformatted and validated the value, including
+        // those that fire no input event (deletions, paste, undo)
+        this.input.addEventListener('mask:change', () => {
+            this.dirty = true;
+            this.updateFormState();
+        });
+        this.input.addEventListener('mask:invalid', () => this.updateFormState());
+        for (const type of this.constructor.FORWARDED_EVENTS) {
+            this.input.addEventListener(type, event => this.forwardEvent(event));
+        }
+    }
+
+    connectedCallback() {
+        if (this.mask) return;
+        for (const name of this.constructor.FORWARDED_ATTRIBUTES) {
+            this.forwardAttribute(name);
+        }
+        if (!this.hasAttribute('aria-label') && this.internals.labels && this.internals.labels.length > 0) {
+            // The labels of the element don't name the input inside its shadow root
+            this.input.setAttribute('aria-label', this.internals.labels[0].textContent.trim());
+        }
+        if (!this.dirty) {
+            this.input.value = this.defaultValue;
+        }
+        this.createMask();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (!this.mask || oldValue === newValue) return;
+
+        if (name === 'value') {
+            if (!this.dirty) this.setMaskValue(newValue);
+        } else if (this.constructor.FORWARDED_ATTRIBUTES.includes(name)) {
+            this.forwardAttribute(name);
+            this.mask.validateInput();
+            this.updateFormState();
+        } else {
+            this.createMask();
+        }
+    }
+
+    /**
+     * Apply a new mask with the options of the current attributes. A mask created on an
+     * input replaces the previous one, keeping the typed value.
+     */
+    createMask() {
+        const MaskClass = this.constructor.MaskClass;
+        this.mask = new MaskClass(this.input, this.getOptions());
+        this.updateFormState();
+    }
+
+    /**
+     * Map the attributes listed in OPTIONS to mask options.
+     */
+    getOptions() {
+        const options = {};
+        for (const [name, type] of Object.entries(this.constructor.OPTIONS)) {
+            if (!this.hasAttribute(name)) continue;
+            const option = this.constructor.OPTION_NAMES[name] ||
+                name.replace(/-([a-z])/g, (match, char) => char.toUpperCase());
+            options[option] = this.parseAttribute(this.getAttribute(name), type);
+        }
+        return options;
+    }
+
+    parseAttribute(value, type) {
+        switch (type) {
+            case 'boolean': return value !== 'false';
+            case 'number': return Number(value);
+            case 'json': return JSON.parse(value);
+            default: return value;
+        }
+    }
+
+    forwardAttribute(name) {
+        if (this.hasAttribute(name)) {
+            this.input.setAttribute(name, this.getAttribute(name));
+        } else {
+            this.input.removeAttribute(name);
+        }
+    }
+
+    forwardEvent(event) {
+        this.dispatchEvent(event instanceof CustomEvent
+            ? new CustomEvent(event.type, { bubbles: true, detail: event.detail })
+            : new Event(event.type, { bubbles: true }));
+    }
+
+    /**
+     * Submit the unmasked value and report the mask's validity through ElementInternals.
+     */
+    updateFormState() {
+        if (!this.mask) return;
+        this.internals.setFormValue(this.getFormValue(), this.input.value);
+
+        const { validity, validationMessage } = this.input;
+        const flags = {};
+        for (const flag of this.constructor.VALIDITY_FLAGS) {
+            if (validity[flag]) flags[flag] = true;
+        }
+        this.internals.setValidity(flags, validationMessage, this.input);
+    }
+
+    /**
+     * Return the value submitted with the form. Subclasses return the mask's plain value.
+     */
+    getFormValue() {
+        return this.mask.getUnmaskedValue();
+    }
+
+    setMaskValue(value) {
+        this.applyChange(() => this.mask.setValue(value === null || value === undefined ? '' : value));
+    }
+
+    /**
+     * Change the mask's value from the element, which isn't a user edit, and report it.
+     */
+    applyChange(change) {
+        const { dirty } = this;
+        change();
+        this.dirty = dirty;
+        this.updateFormState();
+    }
+
+    get value() {
+        return this.mask ? this.getFormValue() : this.getAttribute('value') || '';
+    }
+
+    set value(value) {
+        this.dirty = true;
+        if (this.mask) {
+            this.setMaskValue(value);
+        } else {
+            this.input.value = value === null || value === undefined ? '' : String(value);
+        }
+    }
+
+    get valueAsNumber() {
+        const value = this.value;
+        return value === '' ? NaN : Number(value);
+    }
+
+    set valueAsNumber(value) {
+        this.value = Number.isFinite(value) ? value : '';
+    }
+
+    /**
+     * The value as displayed, e.g. "€ 1.234,56".
+     */
+    get formattedValue() {
+        return this.input.value;
+    }
+
+    get defaultValue() {
+        return this.getAttribute('value') || '';
+    }
+
+    set defaultValue(value) {
+        this.setAttribute('value', value);
+    }
+
+    get disabled() {
+        return this.hasAttribute('disabled');
+    }
+
+    set disabled(disabled) {
+        this.toggleAttribute('disabled', !!disabled);
+    }
+
+    get name() {
+        return this.getAttribute('name');
+    }
+
+    set name(name) {
+        this.setAttribute('name', name);
+    }
+
+    get form() { return this.internals.form; }
+    get labels() { return this.internals.labels; }
+    get validity() { return this.internals.validity; }
+    get validationMessage() { return this.internals.validationMessage; }
+    get willValidate() { return this.internals.willValidate; }
+
+    checkValidity() {
+        return this.internals.checkValidity();
+    }
+
+    reportValidity() {
+        return this.internals.reportValidity();
+    }
+
+    /**
+     * Called for the element's own disabled attribute and for disabled fieldsets.
+     */
+    formDisabledCallback(disabled) {
+        this.input.disabled = disabled;
+    }
+
+    formResetCallback() {
+        this.dirty = false;
+        this.setMaskValue(this.defaultValue);
+    }
+
+    formStateRestoreCallback(state) {
+        this.setMaskValue(state);
+    }
+}
+
+/**
+ * <money-input>: a MoneyMask as a form control. Its value is the plain amount, e.g. "1234.56".
+ */
+class MoneyInputElement extends MaskedInputElement {
+
+    static OPTIONS = {
+        'locale': 'string',
+        'currency': 'string',
+        'currency-display': 'string',
+        'currency-select': 'string',
+        'number-style': 'string',
+        'percent-as-fraction': 'boolean',
+        'decimal': 'string',
+        'thousands': 'string',
+        'grouping': 'json',
+        'precision': 'number',
+        'prefix': 'string',
+        'suffix': 'string',
+        'allow-negative': 'boolean',
+        'select-on-focus': 'boolean',
+        'min': 'string',
+        'max': 'string',
+        'required': 'boolean',
+        'clamp-on-blur': 'boolean',
+        'messages': 'json',
+        'feedback': 'boolean',
+        'error-class': 'string',
+        'message-class': 'string',
+    };
+
+    // style is the element's inline CSS
+    static OPTION_NAMES = {
+        'number-style': 'style',
+    };
+
+    static get MaskClass() {
+        return MoneyMask;
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        // Switching currencies keeps the amount (€ 12,34 becomes ¥12)
+        if (name === 'currency' && this.mask && newValue && oldValue !== newValue) {
+            this.applyChange(() => this.mask.setCurrency(newValue));
+            return;
+        }
+        super.attributeChangedCallback(name, oldValue, newValue);
+    }
+
+    getFormValue() {
+        const value = this.mask.getValueAsString();
+        return value === null ? '' : value;
+    }
+}
+
+/**
+ * <phone-input>: a PhoneNumberMask as a form control. Its value is the digits, or the
+ * E.164 number in international mode.
+ */
+class PhoneInputElement extends MaskedInputElement {
+
+    // PhoneNumberMask has no required option: the inner input's required attribute handles it
+    static FORWARDED_ATTRIBUTES = [...MaskedInputElement.FORWARDED_ATTRIBUTES, 'required'];
+
+    static OPTIONS = {
+        'masks': 'json',
+        'country': 'string',
+        'international': 'boolean',
+        'guide': 'boolean',
+        'placeholder-char': 'string',
+        'messages': 'json',
+        'feedback': 'boolean',
+        'error-class': 'string',
+        'message-class': 'string',
+    };
+
+    static get MaskClass() {
+        return PhoneNumberMask;
+    }
+
+    constructor() {
+        super();
+        this.input.type = 'tel';
+    }
+
+    getFormValue() {
+        return this.input.value ? this.mask.getSubmitValue() : '';
+    }
+
+    updateFormState() {
+        super.updateFormState();
+        // PhoneNumberMask reports empty numbers as invalid; as for native inputs, only `required` should
+        if (this.mask && !this.input.value && !this.input.required) {
+            this.internals.setValidity({});
+        }
+    }
+}
+
+if (typeof customElements !== 'undefined') {
+    if (!customElements.get('money-input')) customElements.define('money-input', MoneyInputElement);
+    if (!customElements.get('phone-input')) customElements.define('phone-input', PhoneInputElement);
+}
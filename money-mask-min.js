@@ -1 +1 @@
-class MoneyMask{static apply(e,t={}){document.querySelectorAll(e).forEach((e=>new MoneyMask(e,t)))}constructor(e,t={}){if("string"==typeof e)this.input=document.querySelector(e);else{if(!(e instanceof HTMLElement))return;this.input=e}this.input&&(this.options={decimal:",",thousands:".",precision:2,prefix:"€ ",allowNegative:!0,selectOnFocus:!1,...t},this.setupEventListeners())}setupEventListeners(){this.input.addEventListener("input",this.handleInput.bind(this)),this.input.addEventListener("focus",this.handleFocus.bind(this)),this.input.addEventListener("blur",this.handleBlur.bind(this)),this.input.addEventListener("keydown",this.handleKeyDown.bind(this))}handleInput(e){let t=e.target.value;const i=this.options.allowNegative&&t.includes("-");t=t.replace(/-/g,"");let s=this.extractNumericValue(t);i&&(s="-"+s);const a=this.formatValue(s);e.target.value=a}handleKeyDown(e){const{key:t,keyCode:i,ctrlKey:s,metaKey:a,shiftKey:n,target:o}=e;[46,8,9,27,13].includes(i)||"a"===t.toLowerCase()&&(s||a)||i>=35&&i<=40||("c"!==t.toLowerCase()&&"v"!==t.toLowerCase()&&"x"!==t.toLowerCase()||!s&&!a)&&("-"!==t&&189!==i?t!==this.options.decimal?(n||i<48||i>57)&&(i<96||i>105)&&e.preventDefault():o.value.includes(this.options.decimal)&&e.preventDefault():this.options.allowNegative&&!o.value.includes("-")||e.preventDefault())}extractNumericValue(e){const t=this.escapeRegex(this.options.decimal),i=new RegExp(`[^0-9${t}]`,"g");let s=e.replace(i,"");const a=s.split(this.options.decimal);return a.length>2&&(s=a[0]+this.options.decimal+a.slice(1).join("")),s}formatValue(e,t=!1){if(!e)return"";const i=this.options.allowNegative&&e.startsWith("-");let s=e.replace(/[^\d]/g,"");if(!s)return i?`${this.options.prefix}-`:"";let a=parseFloat(s)/Math.pow(10,this.options.precision);i&&(a=-a);const n=Math.abs(a).toFixed(this.options.precision).split(".");n[0]=n[0].replace(/\B(?=(\d{3})+(?!\d))/g,this.options.thousands);return`${this.options.prefix}${i?"-":""}${n.join(this.options.decimal)}`}handleFocus(e){if(this.options.selectOnFocus)e.target.select();else{const t=e.target.value.length;e.target.setSelectionRange(t,t)}}handleBlur(e){const t=e.target.value,i=this.options.allowNegative&&t.includes("-"),s=t.replace(/-/g,""),a=this.extractNumericValue(s);e.target.value=this.formatValue(i?"-"+a:a,!0)}getValue(){const e=this.input.value,t=this.options.allowNegative&&e.includes("-"),i=e.replace(/-/g,""),s=this.extractNumericValue(i);return t?-parseFloat(s.replace(this.options.decimal,".")):parseFloat(s.replace(this.options.decimal,"."))}setValue(e){const t=String(e),i=this.options.allowNegative&&t.startsWith("-"),s=t.replace(/-/g,"");this.input.value=this.formatValue(i?"-"+s:s)}escapeRegex(e){return e.replace(/[-/\\^$*+?.()|[\]{}]/g,"\\$&")}}
\ No newline at end of file
+class MoneyMask extends("undefined"!=typeof InputMask?InputMask:require("./input-mask-min.js")){static DEFAULT_MESSAGES={en:{required:"Please enter an amount.",min:"Minimum is {min}.",max:"Maximum is {max}.",ambiguous:'Could not tell whether "{text}" uses "," or "." for decimals. Please type the amount.',unreadable:'"{text}" is not a valid amount.'},pt:{required:"Informe um valor.",min:"O valor mínimo é {min}.",max:"O valor máximo é {max}.",ambiguous:'Não foi possível saber se "{text}" usa "," ou "." para decimais. Digite o valor.',unreadable:'"{text}" não é um valor válido.'},es:{required:"Ingrese un importe.",min:"El mínimo es {min}.",max:"El máximo es {max}.",ambiguous:'No se pudo saber si "{text}" usa "," o "." para los decimales. Escriba el importe.',unreadable:'"{text}" no es un importe válido.'},fr:{required:"Veuillez saisir un montant.",min:"Le minimum est {min}.",max:"Le maximum est {max}.",ambiguous:"Impossible de savoir si « {text} » utilise « , » ou « . » pour les décimales. Veuillez saisir le montant.",unreadable:"« {text} » n'est pas un montant valide."},de:{required:"Bitte geben Sie einen Betrag ein.",min:"Das Minimum ist {min}.",max:"Das Maximum ist {max}.",ambiguous:"Unklar, ob „{text}“ „,“ oder „.“ als Dezimaltrennzeichen verwendet. Bitte geben Sie den Betrag ein.",unreadable:"„{text}“ ist kein gültiger Betrag."}};static MAX_EXPONENT=100;static STYLES={currency:{prefix:"€ ",suffix:""},percent:{prefix:"",suffix:" %"},decimal:{prefix:"",suffix:""}};static MINOR_UNITS={BIF:0,CLP:0,DJF:0,GNF:0,ISK:0,JPY:0,KMF:0,KRW:0,PYG:0,RWF:0,UGX:0,UYI:0,VND:0,VUV:0,XAF:0,XOF:0,XPF:0,BHD:3,IQD:3,JOD:3,KWD:3,LYD:3,OMR:3,TND:3,CLF:4,UYW:4};static IGNORE_MISSING_INPUT=!0;static getCurrencyPrecision(e){const t=MoneyMask.MINOR_UNITS[String(e).toUpperCase()];return void 0===t?2:t}static getCurrencySymbol(e,t,i="symbol"){const s=new Intl.NumberFormat(t,{style:"currency",currency:e,currencyDisplay:i}).formatToParts(0).find(e=>"currency"===e.type);return s?s.value:e}static getLocaleOptions(e,t,i="symbol",s="currency"){let n;n="percent"===s?new Intl.NumberFormat(e,{style:"percent",minimumFractionDigits:1,numberingSystem:"latn"}):"currency"===s&&t?new Intl.NumberFormat(e,{style:"currency",currency:t,currencyDisplay:i,numberingSystem:"latn"}):new Intl.NumberFormat(e,{minimumFractionDigits:1,numberingSystem:"latn"});const r=n.formatToParts("percent"===s?1234567.891:123456789.1),a=r.filter(e=>"integer"===e.type),o=r.findIndex(e=>"integer"===e.type),l=r.map(e=>e.type).lastIndexOf(r.some(e=>"fraction"===e.type)?"fraction":"integer"),u=e=>e.filter(e=>"minusSign"!==e.type).map(e=>e.value).join(""),c={decimal:(r.find(e=>"decimal"===e.type)||{value:"."}).value,thousands:(r.find(e=>"group"===e.type)||{value:""}).value,grouping:a.length>2?[a[a.length-1].value.length,a[a.length-2].value.length]:[3],prefix:u(r.slice(0,o)),suffix:u(r.slice(l+1))};return"currency"===s&&t&&(c.precision=MoneyMask.getCurrencyPrecision(t)),c}static resolveOptions(e={}){const t=e.style||"currency";if(!MoneyMask.STYLES[t])throw new Error(`Invalid style "${t}" provided to MoneyMask.`);const i={decimal:",",thousands:".",grouping:[3],precision:2,...MoneyMask.STYLES[t],percentAsFraction:!1,allowNegative:!0,selectOnFocus:!1,min:null,max:null,required:!1,clampOnBlur:!1,submitRaw:!1,feedback:!1,errorClass:"mask-invalid",messageClass:"mask-message",messageContainer:null,currencySelect:null,...e.locale||e.currency?MoneyMask.getLocaleOptions(e.locale,e.currency,e.currencyDisplay,t):{},...e,style:t};i.messages={...MoneyMask.DEFAULT_MESSAGES};for(const[t,s]of Object.entries(e.messages||{}))i.messages[t]={...MoneyMask.DEFAULT_MESSAGES[t],...s};return i}static format(e,t={}){const i=MoneyMask.resolveOptions(t),s=MoneyMask.toMinorUnits(e,i);return null===s?"":MoneyMask.formatMinorUnits(String(s),i)}static parse(e,t={}){const i=MoneyMask.resolveOptions(t),{value:s}=MoneyMask.readAmount(String(e),i);return null!==s&&MoneyMask.isFractionPercent(i)?MoneyMask.toFraction(s):s}static readAmount(e,t){const i=MoneyMask.stripAffixes(String(e??"").trim(),{prefix:t.prefix.trim(),suffix:t.suffix.trim()}),s="(?:\\p{L}{0,3}\\p{Sc}\\p{L}{0,3}|\\p{L}{2,3}\\.?|%)";let n=i.replace(/\u2212/g,"-").replace(new RegExp(`^([-+(\\s]*)(?:${s}(?!\\p{L})\\s*)+`,"u"),"$1").replace(new RegExp(`(?:\\s*(?<!\\p{L})${s})+([-)\\s]*)$`,"u"),"$1").trim(),r=!1;if(/^\(.*\)$/.test(n)&&(r=!0,n=n.slice(1,-1).trim()),/^[-+]/.test(n)?(r=r||"-"===n[0],n=n.slice(1).trim()):/-$/.test(n)&&(r=!0,n=n.slice(0,-1).trim()),!/\d/.test(n))return{value:null,error:/[^-+()\s]/.test(i)?"unreadable":null};const a=/^([\d.,'’\s]*?)(?:e([-+]?\d+))?$/i.exec(n);if(!a||!/\d/.test(a[1]))return{value:null,error:"unreadable"};const o=MoneyMask.readSeparators(a[1],t);if(o.error)return{value:null,error:o.error};let l=o.value;if(a[2]){const e=Number(a[2]);if(Math.abs(e)>MoneyMask.MAX_EXPONENT)return{value:null,error:"unreadable"};l=MoneyMask.shiftDecimal(l,e)}return{value:r&&/[1-9]/.test(l)?"-"+l:l,error:null}}static readSeparators(e,t){const i=e.replace(/[\s'’]/g,""),s=e=>i.split(e).length-1,n=s("."),r=s(",");let a=null;if(n>0&&r>0){if(a=i.lastIndexOf(".")>i.lastIndexOf(",")?".":",",s(a)>1)return{error:"unreadable"}}else if(n+r===1){const e=n?".":",",[s,r]=i.split(e);if(3===r.length&&/[1-9]/.test(s))if(e===t.thousands)a=null;else{if(!(e===t.decimal&&t.precision>=3))return{error:"ambiguous"};a=e}else a=e}const o=a?"."===a?",":".":n?".":",",[l,u=""]=a?i.split(a):[i],c=l.split(o);if(c.length>1&&(!/^\d{1,3}$/.test(c[0])||!c.slice(1,-1).every(e=>/^\d{3}$/.test(e)||/^\d{2}$/.test(e))||!/^\d{3}$/.test(c[c.length-1])))return{error:"unreadable"};const p=c.join("").replace(/^0+(?=\d)/,"")||"0";return{value:u?`${p}.${u}`:p}}static isFractionPercent(e){return"percent"===e.style&&!!e.percentAsFraction}static toFraction(e){return MoneyMask.shiftDecimal(e,-2)}static shiftDecimal(e,t){const i=e.startsWith("-");let[s,n=""]=e.replace("-","").split(".");return t>0?(n=n.padEnd(t,"0"),s+=n.slice(0,t),n=n.slice(t)):t<0&&(s=s.padStart(1-t,"0"),n=s.slice(t)+n,s=s.slice(0,t)),s=s.replace(/^0+(?=\d)/,""),(i?"-":"")+s+(n?"."+n:"")}static isPlainNumber(e){return"number"==typeof e||"bigint"==typeof e||"string"==typeof e&&/^[-+]?(\d+\.?\d*|\.\d+)$/.test(e.trim())}static formatMinorUnits(e,t){if(!e)return"";const i=t.allowNegative&&e.startsWith("-");let s=e.replace(/[^\d]/g,"");if(!s)return i?`${t.prefix}-${t.suffix}`:"";const{precision:n}=t;s=s.replace(/^0+/,"").padStart(n+1,"0");const r=[s.slice(0,s.length-n)];return n>0&&r.push(s.slice(s.length-n)),r[0]=MoneyMask.groupInteger(r[0],t),`${t.prefix}${i?"-":""}${r.join(t.decimal)}${t.suffix}`}static toDecimalString(e,t){const i=t.allowNegative&&e.includes("-"),s=MoneyMask.extractNumericValue(e.replace(/-/g,""),t);if(!/\d/.test(s))return null;const[n,r=""]=s.split(t.decimal),a=(n.replace(/^0+/,"")||"0")+(r?"."+r:"");return i&&/[1-9]/.test(a)?"-"+a:a}static toMinorUnits(e,t){if(null==e)return null;const i=MoneyMask.isFractionPercent(t)?2:0;let s=t.precision+i;const n=10n**BigInt(s);if("bigint"==typeof e)return t.allowNegative||e>=0n?e*n:-e*n;if("number"==typeof e){if(!Number.isFinite(e))return null;const t=String(e);e=t.includes("e")?Math.abs(e)>=1?BigInt(e).toString():e.toFixed(20):t}let r=String(e).trim();if(!MoneyMask.isPlainNumber(r)){if(r=MoneyMask.readAmount(r,t).value,null===r)return null;s=t.precision}const a=t.allowNegative&&r.startsWith("-"),[o,l=""]=r.replace(/^[-+]/,"").split(".");if(!/\d/.test(o+l))return null;let u=BigInt((o||"0")+l.padEnd(s,"0").slice(0,s));return Number(l[s]||0)>=5&&(u+=1n),a?-u:u}static extractNumericValue(e,t){e=MoneyMask.stripAffixes(e,t);const i=MoneyMask.escapeRegex(t.decimal),s=new RegExp(`[^0-9${i}]`,"g");let n=e.replace(s,"");const r=n.split(t.decimal);return r.length>2&&(n=r[0]+t.decimal+r.slice(1).join("")),n}static stripAffixes(e,t){const{prefix:i,suffix:s}=t;return i&&e.startsWith(i)&&(e=e.slice(i.length)),s&&e.endsWith(s)&&(e=e.slice(0,-s.length)),e}static groupInteger(e,t){const[i,s=i]=t.grouping;if(!t.thousands||e.length<=i)return e;const n=[e.slice(-i)];let r=e.slice(0,-i);for(;r.length>s;)n.unshift(r.slice(-s)),r=r.slice(0,-s);return n.unshift(r),n.join(t.thousands)}static escapeRegex(e){return e.replace(/[-/\\^$*+?.()|[\]{}]/g,"\\$&")}constructor(e,t={}){if(super(e),!this.input)return;this.userOptions={...t};const i=MoneyMask.resolveElement(t.currencySelect);i&&i.value&&(this.userOptions.currency=i.value.toUpperCase()),this.configure(this.userOptions),this.readError=null,this.setupEventListeners(),this.input.value?this.setValue(this.input.value):this.validateInput(),this.lastValue=this.input.value,this.initialized=!0,this.resetHistory(),this.setupSubmitRaw(),this.setupFeedback(),this.setupCurrencySelect()}static resolveElement(e){return"string"==typeof e?document.querySelector(e):e||null}configure(e){this.options=MoneyMask.resolveOptions(e)}updateOptions(e={}){super.updateOptions(e),"currencySelect"in e&&(this.teardownCurrencySelect(),this.setupCurrencySelect())}setCurrency(e){if(!/^[a-z]{3}$/i.test(e))throw new Error(`Invalid currency "${e}" provided to MoneyMask.`);const t=e.toUpperCase(),{prefix:i,suffix:s,precision:n,...r}=this.userOptions;if(!this.options.locale){const{decimal:e,thousands:i,grouping:s}=this.options;Object.assign(r,{decimal:e,thousands:i,grouping:s},this.swapCurrencySymbol(t))}this.userOptions=r,this.updateOptions({currency:t}),this.currencySelect&&this.currencySelect.value!==t&&(this.currencySelect.value=t)}swapCurrencySymbol(e){const{prefix:t,suffix:i,locale:s,currencyDisplay:n}=this.options,r=MoneyMask.getCurrencySymbol(e,s,n),a=[this.options.currency&&MoneyMask.getCurrencySymbol(this.options.currency,s,n),t.trim(),i.trim()].find(e=>e&&(t.includes(e)||i.includes(e)));return a?t.includes(a)?{prefix:t.replace(a,r),suffix:i}:{prefix:t,suffix:i.replace(a,r)}:{prefix:t,suffix:i}}setupCurrencySelect(){this.currencySelect=MoneyMask.resolveElement(this.options.currencySelect),this.currencySelect&&this.currencySelect.addEventListener("change",this.handleCurrencyChange)}teardownCurrencySelect(){this.currencySelect&&(this.currencySelect.removeEventListener("change",this.handleCurrencyChange),this.currencySelect=null)}handleCurrencyChange(){const e=this.currencySelect.value;e&&e.toUpperCase()!==this.options.currency&&this.setCurrency(e)}destroy(){super.destroy(),this.teardownCurrencySelect()}bindHandlers(){return{...super.bindHandlers(),focus:this.handleFocus.bind(this)}}setupEventListeners(){super.setupEventListeners(),this.handleCurrencyChange=this.handleCurrencyChange.bind(this)}getPlainValue(){return this.getValueAsString()}getSubmitValue(){const e=this.getValueAsString();return null===e?"":e}handleInput(e){if(e.isComposing)return;if("input"===e.type&&(!e.inputType||"insertReplacementText"===e.inputType||"insertFromDrop"===e.inputType)){const t="insertFromDrop"===e.inputType&&e.dataTransfer?e.dataTransfer.getData("text"):this.input.value;return this.input.value=this.lastValue,void this.replaceText(t)}this.readError=null;let t=e.target.value;const i=null===e.target.selectionStart?t.length:e.target.selectionStart,s=this.getDigitIndex(t,t.length)-this.getDigitIndex(t,i),n=this.options.allowNegative&&t.includes("-");t=t.replace(/-/g,"");let r=MoneyMask.extractNumericValue(t,this.options);n&&(r="-"+r);const a=this.formatValue(r);e.target.value=a,this.notifyChanges(),this.setCaretBeforeDigits(s),this.recordHistory()}deleteRange(e){this.readError=null;const{value:t,selectionStart:i,selectionEnd:s}=this.input,{start:n,end:r}=this.getNumberBounds(t),a=t.slice(n,r).replace(/\D/g,""),o=t.indexOf("-");let l=this.options.allowNegative&&-1!==o,u=this.getDigitIndex(t,i),c=this.getDigitIndex(t,s);l&&(i===s?i===(e?o:o+1):i<=o&&o<s)?l=!1:u===c&&(e?c=Math.min(c+1,a.length):u=Math.max(u-1,0));const p=a.slice(0,u)+a.slice(c);this.input.value=/[1-9]/.test(p)?this.formatValue((l?"-":"")+p):"",this.notifyChanges(),this.setCaretBeforeDigits(a.length-c),this.recordHistory()}getNumberBounds(e){const{prefix:t,suffix:i}=this.options;let s=t&&e.startsWith(t)?t.length:0;"-"===e[s]&&s++;const n=i&&e.endsWith(i)?e.length-i.length:e.length;return{start:s,end:Math.max(s,n)}}getDigitIndex(e,t){const{start:i,end:s}=this.getNumberBounds(e);return e.slice(i,Math.min(Math.max(t,i),s)).replace(/\D/g,"").length}setCaretBeforeDigits(e){const{value:t}=this.input,{start:i,end:s}=this.getNumberBounds(t);let n=s;for(let s=0;n>i&&s<e;n--)/\d/.test(t[n-1])&&s++;this.input.setSelectionRange(n,n)}acceptsText(e){const{value:t,selectionStart:i,selectionEnd:s}=this.input,n=null===i?t:t.slice(0,i)+t.slice(s);return"-"===e?this.options.allowNegative&&!n.includes("-"):e===this.options.decimal?!n.includes(this.options.decimal):/\d/.test(e)}handlePaste(e){const t=(e.clipboardData||window.clipboardData).getData("text"),{value:i,selectionStart:s,selectionEnd:n}=this.input,r=!i||null===s||0===s&&n===i.length;/^\d+$/.test(t.trim())&&!r||(e.preventDefault(),this.replaceText(t))}replaceText(e){this.touched=!0,this.setText(e),this.readError||(this.setCaretBeforeDigits(0),this.recordHistory())}formatValue(e,t=!1){return MoneyMask.formatMinorUnits(e,this.options)}handleFocus(e){if(this.options.selectOnFocus)e.target.select();else{const{value:t,selectionStart:i,selectionEnd:s}=e.target,{start:n,end:r}=this.getNumberBounds(t);i===s&&(i<n||i>r)&&e.target.setSelectionRange(r,r)}}handleBlur(e){this.touched=!0;const t=e.target.value,i=this.options.allowNegative&&t.includes("-"),s=t.replace(/-/g,""),n=MoneyMask.extractNumericValue(s,this.options);e.target.value=this.formatValue(i?"-"+n:n,!0),this.options.clampOnBlur&&this.clampValue(),this.notifyChanges(),this.completed||!this.input.value||this.lastErrorMessage||(this.completed=!0,this.dispatch("complete"),this.announce(this.input.value)),this.recordHistory()}restoreValue(e){this.readError=null,this.input.value=e}clampValue(){const e=this.getMinorUnits();if(null===e)return;const t=this.toMinorUnits(this.options.min),i=this.toMinorUnits(this.options.max);null!==t&&e<t?this.input.value=this.formatValue(String(t)):null!==i&&e>i&&(this.input.value=this.formatValue(String(i)))}getValidationError(){if(this.readError)return this.readError.error;const e=this.getMinorUnits();if(null===e)return this.options.required?"required":null;const t=this.toMinorUnits(this.options.min),i=this.toMinorUnits(this.options.max);return null!==t&&e<t?"min":null!==i&&e>i?"max":null}getError(){const e=this.getValidationError();return e?{message:this.getErrorMessage(e),error:e}:null}notifyChanges(){this.syncHiddenInput();const e=this.updateValidity();this.input.value!==this.lastValue&&(this.lastValue=this.input.value,this.completed=!1,this.dispatch("change")),e&&this.dispatch("invalid",e)}getEventDetail(){return{unmaskedValue:this.getValueAsString(),value:this.getValue(),maskIndex:null}}getErrorMessage(e){return(MoneyMask.findMessage(this.options.messages,e)||MoneyMask.DEFAULT_MESSAGES.en[e]).replace(/\{(min|max|text)\}/g,(e,t)=>{if("text"===t)return this.readError?this.readError.text.trim():"";const i=this.toMinorUnits(this.options[t]);return null===i?"":this.formatValue(String(i))})}getValue(){const e=this.getValueAsString();return null===e?NaN:Number(e)}getValueAsString(){const e=MoneyMask.toDecimalString(this.input.value,this.options);return null!==e&&MoneyMask.isFractionPercent(this.options)?MoneyMask.toFraction(e):e}getMinorUnits(){const e=MoneyMask.toDecimalString(this.input.value,this.options);if(null===e)return null;const[t,i=""]=e.split(".");return BigInt(t+i.padEnd(this.options.precision,"0"))}setValue(e){if("string"==typeof e&&!MoneyMask.isPlainNumber(e))return void this.setText(e);this.readError=null;const t=this.toMinorUnits(e);this.input.value=null===t?"":this.formatValue(String(t)),this.notifyChanges(),this.recordHistory()}setText(e){const{value:t,error:i}=MoneyMask.readAmount(e,this.options);if(this.readError=i?{error:i,text:String(e)}:null,!i){const e=MoneyMask.toMinorUnits(t,{...this.options,percentAsFraction:!1});this.input.value=null===e?"":this.formatValue(String(e))}this.notifyChanges(),this.recordHistory()}setMinorUnits(e){this.readError=null,this.input.value=null==e||""===e?"":this.formatValue(String(BigInt(e))),this.notifyChanges(),this.recordHistory()}toMinorUnits(e){return MoneyMask.toMinorUnits(e,this.options)}}"undefined"!=typeof module&&module.exports&&(module.exports=MoneyMask);
\ No newline at end of file
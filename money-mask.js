@@ -1,9 +1,10 @@
 /**
  * @fileoverview A small JavaScript class that formats user input as monetary values.
- * @version 1.0.2
+ * @version 2.0.0
  * @author Bernhard Enders
  * @license MIT
- * @modified 2024-12-23
+ * @modified 2026-10-19
+ * @requires input-mask.js
  */
 
 /**
@@ -23,59 +24,660 @@
  *
  * // Or use static method
  * MoneyMask.apply(input, options);
+ *
+ * // Or let Intl.NumberFormat provide separators, grouping, symbol and precision
+ * new MoneyMask(input, { locale: 'de-DE', currency: 'EUR' }); // "1.234,56 €"
  */
-class MoneyMask {
+class MoneyMask extends (typeof InputMask !== 'undefined' ? InputMask : require('./input-mask.js')) {
+    /**
+     * Validation messages per language. {min} and {max} are replaced by the formatted bounds,
+     * {text} by the pasted or set text that couldn't be read.
+     */
+    static DEFAULT_MESSAGES = {
+        'en': {
+            required: 'Please enter an amount.', min: 'Minimum is {min}.', max: 'Maximum is {max}.',
+            ambiguous: 'Could not tell whether "{text}" uses "," or "." for decimals. Please type the amount.',
+            unreadable: '"{text}" is not a valid amount.'
+        },
+        'pt': {
+            required: 'Informe um valor.', min: 'O valor mínimo é {min}.', max: 'O valor máximo é {max}.',
+            ambiguous: 'Não foi possível saber se "{text}" usa "," ou "." para decimais. Digite o valor.',
+            unreadable: '"{text}" não é um valor válido.'
+        },
+        'es': {
+            required: 'Ingrese un importe.', min: 'El mínimo es {min}.', max: 'El máximo es {max}.',
+            ambiguous: 'No se pudo saber si "{text}" usa "," o "." para los decimales. Escriba el importe.',
+            unreadable: '"{text}" no es un importe válido.'
+        },
+        'fr': {
+            required: 'Veuillez saisir un montant.', min: 'Le minimum est {min}.', max: 'Le maximum est {max}.',
+            ambiguous: 'Impossible de savoir si « {text} » utilise « , » ou « . » pour les décimales. Veuillez saisir le montant.',
+            unreadable: '« {text} » n\'est pas un montant valide.'
+        },
+        'de': {
+            required: 'Bitte geben Sie einen Betrag ein.', min: 'Das Minimum ist {min}.', max: 'Das Maximum ist {max}.',
+            ambiguous: 'Unklar, ob „{text}“ „,“ oder „.“ als Dezimaltrennzeichen verwendet. Bitte geben Sie den Betrag ein.',
+            unreadable: '„{text}“ ist kein gültiger Betrag.'
+        },
+    };
+
+    /**
+     * Largest exponent accepted in scientific notation ("1e3").
+     */
+    static MAX_EXPONENT = 100;
+
+    /**
+     * Affixes of each style when no locale provides them: amounts, percentages and plain numbers.
+     */
+    static STYLES = {
+        'currency': { prefix: '€ ', suffix: '' },
+        'percent': { prefix: '', suffix: ' %' },
+        'decimal': { prefix: '', suffix: '' },
+    };
+
     /**
-     * Apply mask to all inputs matching selector.
+     * ISO 4217 minor units (decimal digits) of the currencies that don't have 2.
      */
-    static apply(selector, options = {}) {
-        const inputs = document.querySelectorAll(selector);
-        inputs.forEach(input => new MoneyMask(input, options));
+    static MINOR_UNITS = {
+        'BIF': 0, 'CLP': 0, 'DJF': 0, 'GNF': 0, 'ISK': 0, 'JPY': 0, 'KMF': 0, 'KRW': 0, 'PYG': 0,
+        'RWF': 0, 'UGX': 0, 'UYI': 0, 'VND': 0, 'VUV': 0, 'XAF': 0, 'XOF': 0, 'XPF': 0,
+        'BHD': 3, 'IQD': 3, 'JOD': 3, 'KWD': 3, 'LYD': 3, 'OMR': 3, 'TND': 3,
+        'CLF': 4, 'UYW': 4,
+    };
+
+    /**
+     * A selector matching no input is ignored, as it always was.
+     */
+    static IGNORE_MISSING_INPUT = true;
+
+    /**
+     * Return the number of decimals of a currency, from the ISO 4217 table.
+     *
+     * @example
+     * MoneyMask.getCurrencyPrecision('JPY'); // 0
+     * MoneyMask.getCurrencyPrecision('KWD'); // 3
+     */
+    static getCurrencyPrecision(currency) {
+        const digits = MoneyMask.MINOR_UNITS[String(currency).toUpperCase()];
+        return digits === undefined ? 2 : digits;
     }
 
     /**
-     * Constructor with options for mask.
+     * Return the symbol Intl.NumberFormat shows for a currency, e.g. "¥" for 'JPY'.
      */
-    constructor(inputElementOrSelector, options = {}) {
-        if (typeof inputElementOrSelector === 'string') {
-            this.input = document.querySelector(inputElementOrSelector);
-        } else if (inputElementOrSelector instanceof HTMLElement) {
-            // If a DOM element is passed, use it directly
-            this.input = inputElementOrSelector;
+    static getCurrencySymbol(currency, locale, currencyDisplay = 'symbol') {
+        const parts = new Intl.NumberFormat(locale, { style: 'currency', currency, currencyDisplay }).formatToParts(0);
+        const part = parts.find(part => part.type === 'currency');
+        return part ? part.value : currency;
+    }
+
+    /**
+     * Derive separators, grouping and symbol placement from Intl.NumberFormat, and the
+     * precision of a currency from the ISO 4217 table.
+     */
+    static getLocaleOptions(locale, currency, currencyDisplay = 'symbol', style = 'currency') {
+        // Typed digits are always latin, whatever the locale's numbering system
+        let formatter;
+        if (style === 'percent') {
+            formatter = new Intl.NumberFormat(locale, { style: 'percent', minimumFractionDigits: 1, numberingSystem: 'latn' });
+        } else if (style === 'currency' && currency) {
+            formatter = new Intl.NumberFormat(locale, { style: 'currency', currency, currencyDisplay, numberingSystem: 'latn' });
         } else {
-            // If neither a string nor an element, ignore
-            return;
+            formatter = new Intl.NumberFormat(locale, { minimumFractionDigits: 1, numberingSystem: 'latn' });
         }
+        // Percentages are multiplied by 100, so the number shown is always 123456789.1
+        const parts = formatter.formatToParts(style === 'percent' ? 1234567.891 : 123456789.1);
+        const integerParts = parts.filter(part => part.type === 'integer');
+        const firstNumberIndex = parts.findIndex(part => part.type === 'integer');
+        const lastNumberIndex = parts.map(part => part.type).lastIndexOf(
+            parts.some(part => part.type === 'fraction') ? 'fraction' : 'integer'
+        );
+        const affix = list => list.filter(part => part.type !== 'minusSign').map(part => part.value).join('');
 
-        // If no element is found, ignore
-        if (!this.input) {
-            return;
+        const localeOptions = {
+            decimal: (parts.find(part => part.type === 'decimal') || { value: '.' }).value,
+            thousands: (parts.find(part => part.type === 'group') || { value: '' }).value,
+            // Primary group size, then the size of every group further left (e.g. [3, 2] for en-IN)
+            grouping: integerParts.length > 2
+                ? [integerParts[integerParts.length - 1].value.length, integerParts[integerParts.length - 2].value.length]
+                : [3],
+            prefix: affix(parts.slice(0, firstNumberIndex)),
+            suffix: affix(parts.slice(lastNumberIndex + 1)),
+        };
+        if (style === 'currency' && currency) {
+            localeOptions.precision = MoneyMask.getCurrencyPrecision(currency);
+        }
+        return localeOptions;
+    }
+
+    /**
+     * Complete the given options with defaults and locale derived values.
+     */
+    static resolveOptions(options = {}) {
+        const style = options.style || 'currency';
+        if (!MoneyMask.STYLES[style]) {
+            throw new Error(`Invalid style "${style}" provided to MoneyMask.`);
         }
-        this.options = {
+
+        const resolved = {
             decimal: ',',
             thousands: '.',
+            grouping: [3],
             precision: 2,
-            prefix: '€ ',
+            ...MoneyMask.STYLES[style],
+            percentAsFraction: false,
             allowNegative: true,
             selectOnFocus: false,
-            ...options
+            min: null,
+            max: null,
+            required: false,
+            clampOnBlur: false,
+            submitRaw: false,
+            feedback: false,
+            errorClass: 'mask-invalid',
+            messageClass: 'mask-message',
+            messageContainer: null,
+            currencySelect: null,
+            // Explicit options still override the locale derived ones
+            ...(options.locale || options.currency
+                ? MoneyMask.getLocaleOptions(options.locale, options.currency, options.currencyDisplay, style)
+                : {}),
+            ...options,
+            style
         };
+
+        // Merge custom messages into the defaults, language by language
+        resolved.messages = { ...MoneyMask.DEFAULT_MESSAGES };
+        for (const [language, messages] of Object.entries(options.messages || {})) {
+            resolved.messages[language] = { ...MoneyMask.DEFAULT_MESSAGES[language], ...messages };
+        }
+        return resolved;
+    }
+
+    /**
+     * Format a value in major units (Number, BigInt or string such as "1234.56") without an input,
+     * e.g. for emails, exports or server-side rendering. Returns '' when it holds no number.
+     *
+     * @example
+     * MoneyMask.format(1234.5, { prefix: 'R$ ' }); // "R$ 1.234,50"
+     * MoneyMask.format('1234.56', { locale: 'en-US', currency: 'USD' }); // "$1,234.56"
+     */
+    static format(value, options = {}) {
+        const resolved = MoneyMask.resolveOptions(options);
+        const units = MoneyMask.toMinorUnits(value, resolved);
+        return units === null ? '' : MoneyMask.formatMinorUnits(String(units), resolved);
+    }
+
+    /**
+     * Read a formatted amount (e.g. "€ -1.234,56") with the given options and return it as
+     * a decimal string with a dot separator ("-1234.56"), or null when it holds no number.
+     */
+    static parse(text, options = {}) {
+        const resolved = MoneyMask.resolveOptions(options);
+        const { value } = MoneyMask.readAmount(String(text), resolved);
+        return value !== null && MoneyMask.isFractionPercent(resolved) ? MoneyMask.toFraction(value) : value;
+    }
+
+    /**
+     * Read an amount written in any common convention, e.g. pasted from a spreadsheet or
+     * another site, as a decimal string with a dot separator:
+     *
+     * - "1,234.56", "1.234,56", "1 234,56" and "1'234.56" are all 1234.56: the last of "."
+     *   and "," is the decimal separator, a repeated one is a thousands separator;
+     * - "(1.234,56)", "1.234,56-" and "-1.234,56" are negative;
+     * - currency symbols and codes before or after the number ("R$ 10", "EUR 10", "10 kr") and
+     *   "%" are ignored; any other letter ("12abc34", "12x") makes the text unreadable;
+     * - "1e3" is 1000.
+     *
+     * A single separator followed by exactly three digits ("1,234") is read as the mask's
+     * thousands separator, or as its decimal one when the precision allows three decimals;
+     * otherwise it is ambiguous.
+     * @returns {{value: string|null, error: null|'ambiguous'|'unreadable'}}
+     */
+    static readAmount(text, options) {
+        const unaffixed = MoneyMask.stripAffixes(String(text ?? '').trim(), {
+            prefix: options.prefix.trim(),
+            suffix: options.suffix.trim()
+        });
+
+        // Drop the currency symbols and codes ("R$", "US$", "EUR", "kr.") and "%" around the number,
+        // keeping the signs outside them: "-R$ 10" and "(10 EUR)" are negative
+        const symbol = '(?:\\p{L}{0,3}\\p{Sc}\\p{L}{0,3}|\\p{L}{2,3}\\.?|%)';
+        let rest = unaffixed.replace(/\u2212/g, '-')
+            .replace(new RegExp(`^([-+(\\s]*)(?:${symbol}(?!\\p{L})\\s*)+`, 'u'), '$1')
+            .replace(new RegExp(`(?:\\s*(?<!\\p{L})${symbol})+([-)\\s]*)$`, 'u'), '$1')
+            .trim();
+
+        let isNegative = false;
+        if (/^\(.*\)$/.test(rest)) {
+            isNegative = true;
+            rest = rest.slice(1, -1).trim();
+        }
+        if (/^[-+]/.test(rest)) {
+            isNegative = isNegative || rest[0] === '-';
+            rest = rest.slice(1).trim();
+        } else if (/-$/.test(rest)) {
+            isNegative = true;
+            rest = rest.slice(0, -1).trim();
+        }
+
+        if (!/\d/.test(rest)) {
+            // Nothing but the mask's affixes and signs is an empty amount
+            return { value: null, error: /[^-+()\s]/.test(unaffixed) ? 'unreadable' : null };
+        }
+        const match = /^([\d.,'’\s]*?)(?:e([-+]?\d+))?$/i.exec(rest);
+        if (!match || !/\d/.test(match[1])) {
+            return { value: null, error: 'unreadable' };
+        }
+
+        const result = MoneyMask.readSeparators(match[1], options);
+        if (result.error) return { value: null, error: result.error };
+
+        let value = result.value;
+        if (match[2]) {
+            const exponent = Number(match[2]);
+            if (Math.abs(exponent) > MoneyMask.MAX_EXPONENT) return { value: null, error: 'unreadable' };
+            value = MoneyMask.shiftDecimal(value, exponent);
+        }
+        return { value: isNegative && /[1-9]/.test(value) ? '-' + value : value, error: null };
+    }
+
+    /**
+     * Work out the decimal and thousands separators of an unsigned number (see readAmount)
+     * and return it as a decimal string with a dot separator.
+     * @returns {{value?: string, error?: 'ambiguous'|'unreadable'}}
+     */
+    static readSeparators(number, options) {
+        // Spaces and apostrophes only ever group thousands
+        const compact = number.replace(/[\s'’]/g, '');
+        const count = char => compact.split(char).length - 1;
+        const dots = count('.');
+        const commas = count(',');
+
+        let decimal = null;
+        if (dots > 0 && commas > 0) {
+            decimal = compact.lastIndexOf('.') > compact.lastIndexOf(',') ? '.' : ',';
+            if (count(decimal) > 1) return { error: 'unreadable' };
+        } else if (dots + commas === 1) {
+            const separator = dots ? '.' : ',';
+            const [integer, fraction] = compact.split(separator);
+            if (fraction.length !== 3 || !/[1-9]/.test(integer)) {
+                // "1,5", "12.34" and "0,125" can only hold decimals
+                decimal = separator;
+            } else if (separator === options.thousands) {
+                decimal = null;
+            } else if (separator === options.decimal && options.precision >= 3) {
+                decimal = separator;
+            } else {
+                return { error: 'ambiguous' };
+            }
+        }
+
+        const thousands = decimal ? (decimal === '.' ? ',' : '.') : (dots ? '.' : ',');
+        const [integer, fraction = ''] = decimal ? compact.split(decimal) : [compact];
+        const groups = integer.split(thousands);
+        // Groups after the first have 3 digits, or 2 except the last (e.g. "12,34,567")
+        if (groups.length > 1 && (!/^\d{1,3}$/.test(groups[0]) ||
+            !groups.slice(1, -1).every(group => /^\d{3}$/.test(group) || /^\d{2}$/.test(group)) ||
+            !/^\d{3}$/.test(groups[groups.length - 1]))) {
+            return { error: 'unreadable' };
+        }
+
+        const digits = groups.join('').replace(/^0+(?=\d)/, '') || '0';
+        return { value: fraction ? `${digits}.${fraction}` : digits };
+    }
+    /**
+     * Whether plain values of a percent mask are fractions (0.125) rather than the number
+     * shown (12.5).
+     */
+    static isFractionPercent(options) {
+        return options.style === 'percent' && !!options.percentAsFraction;
+    }
+
+    /**
+     * Move the decimal point of a decimal string two places left: "12.50" becomes "0.1250".
+     */
+    static toFraction(value) {
+        return MoneyMask.shiftDecimal(value, -2);
+    }
+
+    /**
+     * Move the decimal point of a decimal string, right for positive places: ("1.5", 3)
+     * becomes "1500" and ("12.50", -2) becomes "0.1250".
+     */
+    static shiftDecimal(value, places) {
+        const isNegative = value.startsWith('-');
+        let [integer, fraction = ''] = value.replace('-', '').split('.');
+        if (places > 0) {
+            fraction = fraction.padEnd(places, '0');
+            integer += fraction.slice(0, places);
+            fraction = fraction.slice(places);
+        } else if (places < 0) {
+            integer = integer.padStart(1 - places, '0');
+            fraction = integer.slice(places) + fraction;
+            integer = integer.slice(0, places);
+        }
+        integer = integer.replace(/^0+(?=\d)/, '');
+        return (isNegative ? '-' : '') + integer + (fraction ? '.' + fraction : '');
+    }
+
+    /**
+     * Whether a value is a plain number in major units: a Number, a BigInt or a string
+     * such as "-1234.56".
+     */
+    static isPlainNumber(value) {
+        return typeof value === 'number' || typeof value === 'bigint' ||
+            (typeof value === 'string' && /^[-+]?(\d+\.?\d*|\.\d+)$/.test(value.trim()));
+    }
+
+    /**
+     * Format a string of minor units (e.g. "-12345" for -123.45) with decimal, thousands
+     * separator, prefix, suffix and optional minus.
+     * Ensures minus sign is after the prefix (e.g., "€ -123.45").
+     */
+    static formatMinorUnits(value, options) {
+        if (!value) return '';
+        const isNegative = options.allowNegative && value.startsWith('-');
+        let numeric = value.replace(/[^\d]/g, ''); // keep only digits
+
+        // If there's nothing but a minus, just return the minus or empty
+        if (!numeric) {
+            return isNegative ? `${options.prefix}-${options.suffix}` : '';
+        }
+
+        // Digits are minor units: split them as strings, so no precision is lost
+        const { precision } = options;
+        numeric = numeric.replace(/^0+/, '').padStart(precision + 1, '0');
+        const parts = [numeric.slice(0, numeric.length - precision)];
+        if (precision > 0) parts.push(numeric.slice(numeric.length - precision));
+
+        // Apply thousands separator
+        parts[0] = MoneyMask.groupInteger(parts[0], options);
+
+        // Ensure minus is placed after prefix
+        return `${options.prefix}${isNegative ? '-' : ''}${parts.join(options.decimal)}${options.suffix}`;
+    }
+
+    /**
+     * Read a formatted amount as a decimal string with a dot separator, or null.
+     */
+    static toDecimalString(text, options) {
+        const isNegative = options.allowNegative && text.includes('-');
+        const numericValue = MoneyMask.extractNumericValue(text.replace(/-/g, ''), options);
+        if (!/\d/.test(numericValue)) return null;
+
+        const [integer, fraction = ''] = numericValue.split(options.decimal);
+        const digits = (integer.replace(/^0+/, '') || '0') + (fraction ? '.' + fraction : '');
+        return isNegative && /[1-9]/.test(digits) ? '-' + digits : digits;
+    }
+
+    /**
+     * Convert a value in major units to a BigInt of minor units, or null if it holds no number.
+     * For percent masks with `percentAsFraction`, plain values are fractions: 0.125 is 12.5 %.
+     */
+    static toMinorUnits(value, options) {
+        if (value === null || value === undefined) return null;
+
+        // A fraction has two more decimals than the percentage shown
+        const shift = MoneyMask.isFractionPercent(options) ? 2 : 0;
+        let precision = options.precision + shift;
+        const scale = 10n ** BigInt(precision);
+        if (typeof value === 'bigint') {
+            return options.allowNegative || value >= 0n ? value * scale : -value * scale;
+        }
+
+        if (typeof value === 'number') {
+            if (!Number.isFinite(value)) return null;
+            const text = String(value);
+            // Avoid exponent notation: large numbers are integers, tiny ones only need fixed digits
+            value = !text.includes('e') ? text : Math.abs(value) >= 1 ? BigInt(value).toString() : value.toFixed(20);
+        }
+
+        let text = String(value).trim();
+        if (!MoneyMask.isPlainNumber(text)) {
+            // Formatted text, in the mask's format or any other one: the number shown
+            text = MoneyMask.readAmount(text, options).value;
+            if (text === null) return null;
+            precision = options.precision;
+        }
+
+        const isNegative = options.allowNegative && text.startsWith('-');
+        const [integer, fraction = ''] = text.replace(/^[-+]/, '').split('.');
+        if (!/\d/.test(integer + fraction)) return null;
+
+        let units = BigInt((integer || '0') + fraction.padEnd(precision, '0').slice(0, precision));
+        if (Number(fraction[precision] || 0) >= 5) units += 1n;
+        return isNegative ? -units : units;
+    }
+
+    /**
+     * Extract only digits and a single decimal character.
+     */
+    static extractNumericValue(value, options) {
+        value = MoneyMask.stripAffixes(value, options);
+        const escapedDecimal = MoneyMask.escapeRegex(options.decimal);
+        const regex = new RegExp(`[^0-9${escapedDecimal}]`, 'g');
+        let numeric = value.replace(regex, '');
+        const parts = numeric.split(options.decimal);
+        // If more than one decimal, merge them into a single decimal point
+        if (parts.length > 2) {
+            numeric = parts[0] + options.decimal + parts.slice(1).join('');
+        }
+        return numeric;
+    }
+
+    /**
+     * Remove prefix and suffix, so that digits or separators inside them aren't taken as part of the number.
+     */
+    static stripAffixes(value, options) {
+        const { prefix, suffix } = options;
+        if (prefix && value.startsWith(prefix)) value = value.slice(prefix.length);
+        if (suffix && value.endsWith(suffix)) value = value.slice(0, -suffix.length);
+        return value;
+    }
+
+    /**
+     * Insert the thousands separator according to the grouping pattern.
+     */
+    static groupInteger(integer, options) {
+        const [primary, secondary = primary] = options.grouping;
+        if (!options.thousands || integer.length <= primary) return integer;
+
+        const groups = [integer.slice(-primary)];
+        let rest = integer.slice(0, -primary);
+        while (rest.length > secondary) {
+            groups.unshift(rest.slice(-secondary));
+            rest = rest.slice(0, -secondary);
+        }
+        groups.unshift(rest);
+        return groups.join(options.thousands);
+    }
+
+    /**
+     * Escape special characters for regex usage.
+     */
+    static escapeRegex(char) {
+        return char.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&');
+    }
+
+    /**
+     * Constructor with options for mask.
+     */
+    constructor(inputElementOrSelector, options = {}) {
+        super(inputElementOrSelector);
+        if (!this.input) {
+            return;
+        }
+
+        this.userOptions = { ...options };
+        // The currency picked in the bound <select> wins, so both agree from the start
+        const currencySelect = MoneyMask.resolveElement(options.currencySelect);
+        if (currencySelect && currencySelect.value) {
+            this.userOptions.currency = currencySelect.value.toUpperCase();
+        }
+        this.configure(this.userOptions);
+        // Set when pasted or set text can't be read, until the next edit
+        this.readError = null;
         this.setupEventListeners();
+
+        // Apply mask to initial value
+        if (this.input.value) {
+            this.setValue(this.input.value);
+        } else {
+            this.validateInput();
+        }
+
+        // No events are dispatched while the mask is being set up
+        this.lastValue = this.input.value;
+        this.initialized = true;
+        this.resetHistory();
+
+        this.setupSubmitRaw();
+        this.setupFeedback();
+        this.setupCurrencySelect();
+    }
+
+    /**
+     * Return the element given as an element or a selector, or null.
+     */
+    static resolveElement(element) {
+        return typeof element === 'string' ? document.querySelector(element) : element || null;
+    }
+
+    configure(options) {
+        this.options = MoneyMask.resolveOptions(options);
+    }
+
+    /**
+     * Change options in place (e.g. another currency), keeping the typed amount, and reformat.
+     */
+    updateOptions(options = {}) {
+        super.updateOptions(options);
+        if ('currencySelect' in options) {
+            this.teardownCurrencySelect();
+            this.setupCurrencySelect();
+        }
+    }
+
+    /**
+     * Switch to another currency, keeping the amount: € 12,34 becomes ¥ 12, not ¥ 1.234.
+     * The precision comes from the ISO 4217 table, replacing an explicit one. With a locale,
+     * the format is derived again for the new currency; without one, the separators and
+     * affixes are kept and only the symbol changes.
+     * @param {string} currency - An ISO 4217 code, e.g. 'JPY'.
+     */
+    setCurrency(currency) {
+        if (!/^[a-z]{3}$/i.test(currency)) {
+            throw new Error(`Invalid currency "${currency}" provided to MoneyMask.`);
+        }
+        const code = currency.toUpperCase();
+        const { prefix, suffix, precision, ...userOptions } = this.userOptions;
+        if (!this.options.locale) {
+            // Intl would otherwise bring the browser's separators and symbol placement along
+            const { decimal, thousands, grouping } = this.options;
+            Object.assign(userOptions, { decimal, thousands, grouping }, this.swapCurrencySymbol(code));
+        }
+        this.userOptions = userOptions;
+        this.updateOptions({ currency: code });
+        if (this.currencySelect && this.currencySelect.value !== code) {
+            this.currencySelect.value = code;
+        }
+    }
+
+    /**
+     * Return the prefix and suffix with the symbol of another currency in place of the one
+     * shown: the current currency's symbol, or the affix itself ("€" of the default "€ ").
+     */
+    swapCurrencySymbol(currency) {
+        const { prefix, suffix, locale, currencyDisplay } = this.options;
+        const symbol = MoneyMask.getCurrencySymbol(currency, locale, currencyDisplay);
+        const shown = [
+            this.options.currency && MoneyMask.getCurrencySymbol(this.options.currency, locale, currencyDisplay),
+            prefix.trim(),
+            suffix.trim()
+        ].find(candidate => candidate && (prefix.includes(candidate) || suffix.includes(candidate)));
+
+        if (!shown) return { prefix, suffix };
+        return prefix.includes(shown)
+            ? { prefix: prefix.replace(shown, symbol), suffix }
+            : { prefix, suffix: suffix.replace(shown, symbol) };
+    }
+
+    /**
+     * Follow the currency picked in the `currencySelect` element.
+     */
+    setupCurrencySelect() {
+        this.currencySelect = MoneyMask.resolveElement(this.options.currencySelect);
+        if (!this.currencySelect) return;
+        this.currencySelect.addEventListener('change', this.handleCurrencyChange);
+    }
+
+    teardownCurrencySelect() {
+        if (!this.currencySelect) return;
+        this.currencySelect.removeEventListener('change', this.handleCurrencyChange);
+        this.currencySelect = null;
+    }
+
+    handleCurrencyChange() {
+        const currency = this.currencySelect.value;
+        if (currency && currency.toUpperCase() !== this.options.currency) {
+            this.setCurrency(currency);
+        }
+    }
+
+    destroy() {
+        super.destroy();
+        this.teardownCurrencySelect();
+    }
+
+    bindHandlers() {
+        return { ...super.bindHandlers(), focus: this.handleFocus.bind(this) };
     }
 
     setupEventListeners() {
-        // Use 'input' to reformat whenever the text changes (typing, paste, etc.)
-        this.input.addEventListener('input', this.handleInput.bind(this));
-        this.input.addEventListener('focus', this.handleFocus.bind(this));
-        this.input.addEventListener('blur', this.handleBlur.bind(this));
-        this.input.addEventListener('keydown', this.handleKeyDown.bind(this));
+        super.setupEventListeners();
+        this.handleCurrencyChange = this.handleCurrencyChange.bind(this);
+    }
+
+    /**
+     * Return the plain value kept by updateOptions() and left in the input by destroy(),
+     * e.g. "1234.56", or null when the input is empty.
+     */
+    getPlainValue() {
+        return this.getValueAsString();
+    }
+
+    /**
+     * Return the value submitted by the hidden input: the plain value, e.g. "1234.56".
+     */
+    getSubmitValue() {
+        const value = this.getValueAsString();
+        return value === null ? '' : value;
     }
 
     /**
      * Handle input, put minus sign (if any) on the numeric part only, then format.
      */
     handleInput(event) {
+        // Reformatting in the middle of an IME composition would break it; wait for compositionend
+        if (event.isComposing) return;
+        // Autofill and drops bring whole amounts ("1234.5"), not typed digits
+        if (event.type === 'input' && (!event.inputType ||
+            event.inputType === 'insertReplacementText' || event.inputType === 'insertFromDrop')) {
+            const text = event.inputType === 'insertFromDrop' && event.dataTransfer
+                ? event.dataTransfer.getData('text')
+                : this.input.value;
+            this.input.value = this.lastValue;
+            this.replaceText(text);
+            return;
+        }
+        this.readError = null;
+
         let value = event.target.value;
+        // Digits right of the caret keep their place: the amount grows or shrinks on the left
+        const caret = event.target.selectionStart === null ? value.length : event.target.selectionStart;
+        const digitsAfterCaret = this.getDigitIndex(value, value.length) - this.getDigitIndex(value, caret);
+
         // Check if user wants negative and typed at least one '-'
         const wantsNegative = this.options.allowNegative && value.includes('-');
 
@@ -83,7 +685,7 @@ class MoneyMask {
         value = value.replace(/-/g, '');
 
         // Extract only the digits and optional decimal
-        let numericValue = this.extractNumericValue(value);
+        let numericValue = MoneyMask.extractNumericValue(value, this.options);
 
         // Re-add a single minus sign if user wants negative
         if (wantsNegative) {
@@ -93,106 +695,147 @@ class MoneyMask {
         // Format and replace input value
         const fmtVal = this.formatValue(numericValue);
         event.target.value = fmtVal;
+        this.notifyChanges();
+        this.setCaretBeforeDigits(digitsAfterCaret);
+        this.recordHistory();
     }
 
     /**
-     * Keydown handler to (1) allow cut/copy/paste, minus sign, arrows, etc.
-     * and (2) properly allow digits and decimal.
+     * Delete the selection, or the digit next to the caret, skipping separators.
+     * Removing the last significant digit clears the input.
      */
-    handleKeyDown(event) {
-        const { key, keyCode, ctrlKey, metaKey, shiftKey, target } = event;
-
-        // Allow backspace, delete, tab, escape, enter, arrows, or Ctrl/Cmd+A
-        if (
-            [46, 8, 9, 27, 13].includes(keyCode) || // Del, Bksp, Tab, Esc, Enter
-            (key.toLowerCase() === 'a' && (ctrlKey || metaKey)) || // Ctrl/Cmd + A
-            (keyCode >= 35 && keyCode <= 40) // Home, End, Arrow keys
-        ) {
-            return;
-        }
+    deleteRange(forward) {
+        this.readError = null;
+        const { value, selectionStart: start, selectionEnd: end } = this.input;
+        const { start: numberStart, end: numberEnd } = this.getNumberBounds(value);
+        const digits = value.slice(numberStart, numberEnd).replace(/\D/g, '');
+        const minusIndex = value.indexOf('-');
+        let isNegative = this.options.allowNegative && minusIndex !== -1;
+        let from = this.getDigitIndex(value, start);
+        let to = this.getDigitIndex(value, end);
 
-        // Allow cut/copy/paste if Ctrl/Cmd is pressed
-        if (
-            (key.toLowerCase() === 'c' || key.toLowerCase() === 'v' || key.toLowerCase() === 'x') &&
-            (ctrlKey || metaKey)
-        ) {
-            return;
-        }
-
-        // Handle minus sign if negatives are allowed.
-        if ((key === '-' || keyCode === 189)) {
-            if (!this.options.allowNegative || target.value.includes('-')) {
-                event.preventDefault();
+        if (isNegative && (start === end
+            ? start === (forward ? minusIndex : minusIndex + 1)
+            : start <= minusIndex && minusIndex < end)) {
+            // The minus sign is deleted like any other character
+            isNegative = false;
+        } else if (from === to) {
+            if (forward) {
+                to = Math.min(to + 1, digits.length);
+            } else {
+                from = Math.max(from - 1, 0);
             }
-            return;
         }
 
-        // Allow the decimal character if user hasn’t typed it yet.
-        if (key === this.options.decimal) {
-            // block a second decimal
-            if (target.value.includes(this.options.decimal)) {
-                event.preventDefault();
-            }
-            return;
-        }
+        const remaining = digits.slice(0, from) + digits.slice(to);
+        this.input.value = /[1-9]/.test(remaining)
+            ? this.formatValue((isNegative ? '-' : '') + remaining)
+            : '';
+        this.notifyChanges();
+        this.setCaretBeforeDigits(digits.length - to);
+        this.recordHistory();
+    }
 
-        // Enforce digits (and numeric keypad digits). Block everything else.
-        // The shift check will block !@#$... above the top number row.
-        if ((shiftKey || keyCode < 48 || keyCode > 57) && (keyCode < 96 || keyCode > 105)) {
-            event.preventDefault();
-        }
+    /**
+     * Return where the number starts (after the prefix and minus sign) and ends (before the suffix).
+     */
+    getNumberBounds(value) {
+        const { prefix, suffix } = this.options;
+        let start = prefix && value.startsWith(prefix) ? prefix.length : 0;
+        if (value[start] === '-') start++;
+        const end = suffix && value.endsWith(suffix) ? value.length - suffix.length : value.length;
+        return { start, end: Math.max(start, end) };
     }
 
     /**
-     * Extract only digits and a single decimal character.
+     * Count the digits of the number left of a position in the value.
      */
-    extractNumericValue(value) {
-        const escapedDecimal = this.escapeRegex(this.options.decimal);
-        const regex = new RegExp(`[^0-9${escapedDecimal}]`, 'g');
-        let numeric = value.replace(regex, '');
-        const parts = numeric.split(this.options.decimal);
-        // If more than one decimal, merge them into a single decimal point
-        if (parts.length > 2) {
-            numeric = parts[0] + this.options.decimal + parts.slice(1).join('');
+    getDigitIndex(value, position) {
+        const { start, end } = this.getNumberBounds(value);
+        const text = value.slice(start, Math.min(Math.max(position, start), end));
+        return text.replace(/\D/g, '').length;
+    }
+
+    /**
+     * Place the caret so that the given number of digits is right of it.
+     */
+    setCaretBeforeDigits(digitsAfterCaret) {
+        const { value } = this.input;
+        const { start, end } = this.getNumberBounds(value);
+        let position = end;
+        for (let count = 0; position > start && count < digitsAfterCaret; position--) {
+            if (/\d/.test(value[position - 1])) count++;
         }
-        return numeric;
+        this.input.setSelectionRange(position, position);
     }
 
     /**
-     * Format numeric string with decimal, thousands separator, prefix, and optional minus.
-     * Ensures minus sign is after the prefix (e.g., "€ -123.45").
+     * Accept digits, a minus sign if negatives are allowed and the decimal character, the
+     * last two only once. Longer text (e.g. dictation) is accepted if it holds a digit.
      */
-    formatValue(value, isBlur = false) {
-        if (!value) return '';
-        const isNegative = this.options.allowNegative && value.startsWith('-');
-        let numeric = value.replace(/[^\d]/g, ''); // keep only digits
+    acceptsText(text) {
+        const { value, selectionStart, selectionEnd } = this.input;
+        // Whatever is selected gets replaced
+        const remaining = selectionStart === null
+            ? value
+            : value.slice(0, selectionStart) + value.slice(selectionEnd);
 
-        // If there's nothing but a minus, just return the minus or empty
-        if (!numeric) {
-            return isNegative ? `${this.options.prefix}-` : '';
+        if (text === '-') {
+            return this.options.allowNegative && !remaining.includes('-');
+        }
+        if (text === this.options.decimal) {
+            return !remaining.includes(this.options.decimal);
         }
+        return /\d/.test(text);
+    }
 
-        let number = parseFloat(numeric) / Math.pow(10, this.options.precision);
-        if (isNegative) number = -number;
+    /**
+     * Read pasted amounts whatever their format ("1,234.56" into a "1.234,56" field).
+     * Digits pasted inside an amount are inserted like typed ones.
+     */
+    handlePaste(event) {
+        const text = (event.clipboardData || window.clipboardData).getData('text');
+        const { value, selectionStart, selectionEnd } = this.input;
+        const replacesAll = !value || selectionStart === null || (selectionStart === 0 && selectionEnd === value.length);
+        if (/^\d+$/.test(text.trim()) && !replacesAll) return;
 
-        const parts = Math.abs(number).toFixed(this.options.precision).split('.');
-        // Apply thousands separator
-        parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, this.options.thousands);
+        event.preventDefault();
+        this.replaceText(text);
+    }
 
-        // Ensure minus is placed after prefix
-        const ret = `${this.options.prefix}${isNegative ? '-' : ''}${parts.join(this.options.decimal)}`
-        return ret;
+    /**
+     * Replace the amount with the one read from pasted, dropped or autofilled text.
+     */
+    replaceText(text) {
+        // Say right away why the text was rejected
+        this.touched = true;
+        this.setText(text);
+        if (!this.readError) {
+            this.setCaretBeforeDigits(0);
+            this.recordHistory();
+        }
+    }
+
+    /**
+     * Format a string of minor units with the mask's options.
+     */
+    formatValue(value, isBlur = false) {
+        return MoneyMask.formatMinorUnits(value, this.options);
     }
 
     /**
-     * Place caret at the end on focus.
+     * On focus, move a caret left in the prefix or suffix to the end of the number.
+     * A caret inside the number, or a selection, is left where the user put it.
      */
     handleFocus(event) {
         if (this.options.selectOnFocus) {
             event.target.select();
         } else {
-            const length = event.target.value.length;
-            event.target.setSelectionRange(length, length);
+            const { value, selectionStart, selectionEnd } = event.target;
+            const { start, end } = this.getNumberBounds(value);
+            if (selectionStart === selectionEnd && (selectionStart < start || selectionStart > end)) {
+                event.target.setSelectionRange(end, end);
+            }
         }
     }
 
@@ -200,44 +843,210 @@ class MoneyMask {
      * Re-format on blur.
      */
     handleBlur(event) {
+        this.touched = true;
         const value = event.target.value;
         const isNegative = this.options.allowNegative && value.includes('-');
         const rawValue = value.replace(/-/g, '');
-        const numericValue = this.extractNumericValue(rawValue);
+        const numericValue = MoneyMask.extractNumericValue(rawValue, this.options);
 
         event.target.value = this.formatValue(
             isNegative ? '-' + numericValue : numericValue,
             true
         );
+
+        if (this.options.clampOnBlur) {
+            this.clampValue();
+        }
+        this.notifyChanges();
+        // The amount becomes complete when the user leaves a valid, non-empty field
+        if (!this.completed && this.input.value && !this.lastErrorMessage) {
+            this.completed = true;
+            this.dispatch('complete');
+            this.announce(this.input.value);
+        }
+        this.recordHistory();
+    }
+
+    restoreValue(value) {
+        this.readError = null;
+        this.input.value = value;
+    }
+
+    /**
+     * Bring an out-of-range value back to the nearest bound.
+     */
+    clampValue() {
+        const units = this.getMinorUnits();
+        if (units === null) return;
+
+        const min = this.toMinorUnits(this.options.min);
+        const max = this.toMinorUnits(this.options.max);
+        if (min !== null && units < min) {
+            this.input.value = this.formatValue(String(min));
+        } else if (max !== null && units > max) {
+            this.input.value = this.formatValue(String(max));
+        }
+    }
+
+    /**
+     * Return the failed constraint ('required', 'min' or 'max'), or why the last pasted or set
+     * text couldn't be read ('ambiguous' or 'unreadable'), or null when the value is valid.
+     */
+    getValidationError() {
+        if (this.readError) return this.readError.error;
+
+        const units = this.getMinorUnits();
+        if (units === null) {
+            return this.options.required ? 'required' : null;
+        }
+
+        const min = this.toMinorUnits(this.options.min);
+        const max = this.toMinorUnits(this.options.max);
+        if (min !== null && units < min) return 'min';
+        if (max !== null && units > max) return 'max';
+        return null;
+    }
+
+    /**
+     * Return the failed constraint, if any, with its message.
+     * @returns {{message: string, error: string}|null}
+     */
+    getError() {
+        const error = this.getValidationError();
+        return error ? { message: this.getErrorMessage(error), error } : null;
+    }
+
+    /**
+     * Validate the current value and dispatch mask:change when the formatted value differs
+     * from the last call, then mask:invalid. The input's validity is already up to date
+     * when they fire.
+     */
+    notifyChanges() {
+        this.syncHiddenInput();
+        const newError = this.updateValidity();
+
+        if (this.input.value !== this.lastValue) {
+            this.lastValue = this.input.value;
+            // Another amount is only complete once the user leaves the field again
+            this.completed = false;
+            this.dispatch('change');
+        }
+        if (newError) {
+            this.dispatch('invalid', newError);
+        }
+    }
+
+    /**
+     * Return what the mask:* events report besides the formatted value.
+     * MoneyMask has no masks, so maskIndex is always null.
+     */
+    getEventDetail() {
+        return {
+            unmaskedValue: this.getValueAsString(),
+            value: this.getValue(),
+            maskIndex: null
+        };
+    }
+
+    /**
+     * Resolve the message for a failed constraint from the user's languages, then fill in
+     * the {min} and {max} placeholders.
+     */
+    getErrorMessage(error) {
+        const message = MoneyMask.findMessage(this.options.messages, error) || MoneyMask.DEFAULT_MESSAGES['en'][error];
+
+        return message.replace(/\{(min|max|text)\}/g, (placeholder, name) => {
+            if (name === 'text') return this.readError ? this.readError.text.trim() : '';
+            const units = this.toMinorUnits(this.options[name]);
+            return units === null ? '' : this.formatValue(String(units));
+        });
     }
 
     /**
      * Return the numeric value (Number) from masked input.
+     * Use getValueAsString() or getMinorUnits() when exact values are needed.
      */
     getValue() {
-        const value = this.input.value;
-        const isNegative = this.options.allowNegative && value.includes('-');
-        const rawValue = value.replace(/-/g, '');
-        const numericValue = this.extractNumericValue(rawValue);
-        return isNegative
-            ? -parseFloat(numericValue.replace(this.options.decimal, '.'))
-            : parseFloat(numericValue.replace(this.options.decimal, '.'));
+        const value = this.getValueAsString();
+        return value === null ? NaN : Number(value);
+    }
+
+    /**
+     * Return the exact value as a decimal string with a dot separator (e.g. "-1234.56"),
+     * or null when the input is empty. Percent masks with `percentAsFraction` return the
+     * fraction ("0.1250" for "12,50 %").
+     */
+    getValueAsString() {
+        const value = MoneyMask.toDecimalString(this.input.value, this.options);
+        return value !== null && MoneyMask.isFractionPercent(this.options) ? MoneyMask.toFraction(value) : value;
     }
 
     /**
-     * Set the mask from a numeric value.
+     * Return the value in minor units of the number shown (e.g. cents, or hundredths of a
+     * percent) as a BigInt, or null when the input is empty.
+     */
+    getMinorUnits() {
+        const value = MoneyMask.toDecimalString(this.input.value, this.options);
+        if (value === null) return null;
+        const [integer, fraction = ''] = value.split('.');
+        return BigInt(integer + fraction.padEnd(this.options.precision, '0'));
+    }
+
+    /**
+     * Set the mask from a value in major units: a Number, a BigInt, or a string such as
+     * "1234.56". Formatted text ("€ 1.234,56", "(1,234.56)") is read like pasted text.
+     * Extra fraction digits are rounded half away from zero.
      */
     setValue(value) {
-        const strValue = String(value);
-        const isNegative = this.options.allowNegative && strValue.startsWith('-');
-        const numeric = strValue.replace(/-/g, '');
-        this.input.value = this.formatValue(isNegative ? '-' + numeric : numeric);
+        if (typeof value === 'string' && !MoneyMask.isPlainNumber(value)) {
+            this.setText(value);
+            return;
+        }
+
+        this.readError = null;
+        const units = this.toMinorUnits(value);
+        this.input.value = units === null ? '' : this.formatValue(String(units));
+        this.notifyChanges();
+        this.recordHistory();
     }
 
     /**
-     * Escape special characters for regex usage.
+     * Set the mask from text written in any common format (see MoneyMask.readAmount), taken as
+     * the number shown. Ambiguous or unreadable text leaves the value unchanged and is
+     * reported as a validation error until the next edit.
      */
-    escapeRegex(char) {
-        return char.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&');
+    setText(text) {
+        const { value, error } = MoneyMask.readAmount(text, this.options);
+        this.readError = error ? { error, text: String(text) } : null;
+        if (!error) {
+            // The text holds the number shown, even when plain values are fractions
+            const units = MoneyMask.toMinorUnits(value, { ...this.options, percentAsFraction: false });
+            this.input.value = units === null ? '' : this.formatValue(String(units));
+        }
+        this.notifyChanges();
+        this.recordHistory();
     }
-}
\ No newline at end of file
+
+    /**
+     * Set the mask from a value in minor units (e.g. cents), given as a BigInt, integer or string.
+     */
+    setMinorUnits(units) {
+        this.readError = null;
+        this.input.value = units === null || units === undefined || units === ''
+            ? ''
+            : this.formatValue(String(BigInt(units)));
+        this.notifyChanges();
+        this.recordHistory();
+    }
+
+    /**
+     * Convert a value in major units to a BigInt of minor units with the mask's options.
+     */
+    toMinorUnits(value) {
+        return MoneyMask.toMinorUnits(value, this.options);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MoneyMask;
+}
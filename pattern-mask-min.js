@@ -0,0 +1 @@
+class PatternMask extends("undefined"!=typeof InputMask?InputMask:require("./input-mask-min.js")){static TOKENS={"#":{pattern:/\d/},A:{pattern:/[a-zA-Z]/},"*":{pattern:/[a-zA-Z0-9]/},9:{pattern:/\d/,optional:!0}};static ESCAPE_CHAR="\\";static DEFAULT_MESSAGES={en:"Please match the requested format.","en-US":"Please match the requested format.",pt:"Preencha no formato solicitado.","pt-BR":"Preencha no formato solicitado.",es:"Ajuste el valor al formato solicitado.",fr:"Veuillez respecter le format demandé.",de:"Bitte halten Sie sich an das vorgegebene Format."};static registerToken(t,e){if("string"!=typeof t||1!==t.length)throw new Error(`Invalid token character provided to ${this.name}.registerToken.`);if(!(e&&e.pattern instanceof RegExp))throw new Error(`Token "${t}" must define a RegExp pattern.`);this.TOKENS={...this.TOKENS,[t]:e}}static format(t,e,s={}){const i=this.parseMasks(e,s),a=this.unmask(String(t??""),i[0],i);return a?this.selectMask(a,i).value:""}static parse(t,e,s={}){const i=this.parseMasks(e,s);return this.unmask(String(t??""),i[0],i)}static parseMasks(t,e={}){const s={...this.TOKENS,...e.tokens};return(Array.isArray(t)?t:[t]).map(t=>this.parseMask(t,s))}static getLocalizedMessage(){return this.findMessage(this.DEFAULT_MESSAGES)||this.DEFAULT_MESSAGES.en}constructor(t,e={}){super(t),this.userOptions={...e},this.configure(this.userOptions),this.setupEventListeners();const s=this.input.value;s&&this.setValue(s),this.lastState=this.getState(),this.initialized=!0,this.resetHistory(),this.setupSubmitRaw(),this.setupFeedback()}resolveOptions(t){return{masks:[],tokens:{},submitRaw:!1,feedback:!1,errorClass:"mask-invalid",messageClass:"mask-message",messageContainer:null,guide:!1,placeholderChar:"_",...t,messages:{...this.constructor.DEFAULT_MESSAGES,...t.messages||{}}}}configure(t){if(this.options=this.resolveOptions(t),Array.isArray(this.options.masks)||(this.options.masks=[this.options.masks]),0===this.options.masks.length)throw new Error(`No mask provided to ${this.constructor.name}.`);if(this.tokens={...this.constructor.TOKENS,...this.options.tokens},this.masksData=this.options.masks.map(t=>this.constructor.parseMask(t,this.tokens)),this.activeMaskIndex=-1,this.slots=[],this.nextSlotPosition=0,this.options.guide){const{placeholderChar:t}=this.options;if("string"!=typeof t||1!==t.length)throw new Error(`Invalid placeholder character provided to ${this.constructor.name}.`);if(this.acceptsChar(t))throw new Error(`Placeholder character "${t}" is accepted by the masks of ${this.constructor.name}.`)}}static parseMask(t,e=this.TOKENS){const{mask:s,...i}="string"==typeof t?{mask:t}:t;"string"==typeof i.match&&(i.match=new RegExp(i.match));const a=[];let n=0,r=0;for(let t=0;t<s.length;t++){let i=s[t];if(i===this.ESCAPE_CHAR&&t+1<s.length){a.push({type:"literal",char:s[++t]});continue}const o=e[i];o?(a.push({type:"slot",token:i,pattern:o.pattern,transform:o.transform,optional:!!o.optional}),n++,o.optional||r++):a.push({type:"literal",char:i})}return{...i,mask:s,items:a,slotCount:n,requiredCount:r}}static conformChar(t,e){const s=t.transform?t.transform(e):e;return t.pattern.test(s)?s:null}static acceptsChar(t,e){return e.some(e=>e.items.some(e=>"slot"===e.type&&null!==this.conformChar(e,t)))}acceptsChar(t){return PatternMask.acceptsChar(t,this.masksData)}getActiveMaskData(){return this.masksData[this.activeMaskIndex]||this.masksData[0]}static unmask(t,e,s=[e],i=""){const a=Array.from(t+i),n=Array.from(t).length,{items:r}=e;let o="",h=0;for(let t=0;t<n;t++){let e=r[h];if(e&&"literal"===e.type){const e=this.readLiterals(a,t,r,h,s);if(e){t=e.charIndex-1,h=e.itemIndex;continue}}const i=a[t];if(this.acceptsChar(i,s)){for(;e&&"literal"===e.type;)e=r[++h];o+=i,h++}}return o}static readLiterals(t,e,s,i,a){if(t[e]!==s[i].char)return null;for(;i<s.length&&"literal"===s[i].type;i++){const{char:n}=s[i];if(t[e]===n)e++;else if(this.acceptsChar(n,a))return null}const n=t[e];return i<s.length&&(void 0===n||!this.acceptsChar(n,a))?null:{charIndex:e,itemIndex:i}}unmask(t,e=this.getActiveMaskData(),s=""){return this.options.guide&&(t=t.split(this.options.placeholderChar).join(""),s=s.split(this.options.placeholderChar).join("")),PatternMask.unmask(t,e,this.masksData,s)}static applyMask(t,e,s=null){const{items:i}=e,a=[];let n="",r="",o=0,h=0,l=0,u=0;for(;h<i.length&&o<t.length;h++){const e=i[h];if("literal"===e.type){r+=e.char;continue}if(e.optional&&null===this.conformChar(e,t[o]))continue;let s=null;for(;null===s&&o<t.length;)s=this.conformChar(e,t[o++]);if(null===s)break;n+=r,r="",a.push(n.length),n+=s,l++,e.optional||u++}const c=e.requiredCount-u,d=i.slice(h);let p=null;return 0===c&&d.every(t=>"literal"===t.type)?(n+=r+d.map(t=>t.char).join(""),p=n):null!==s&&(p=n+r+d.map(t=>"literal"===t.type?t.char:t.optional?"":s).join("")),{value:n,guidedValue:p,slots:a,placed:l,missing:c,rejected:t.length-l}}static matchesRules(t,e){return!(t.match&&!t.match.test(e))&&!("function"==typeof t.test&&!t.test(e))}isCandidateMask(t,e){return PatternMask.matchesRules(t,e)}static selectMask(t,e,s=(t,e)=>this.matchesRules(t,e),i=null){let a=e.filter(e=>s(e,t));if(0===a.length)a=e;else{const t=Math.max(...a.map(t=>t.priority||0));a=a.filter(e=>(e.priority||0)===t)}let n=null;return a.forEach(s=>{const a=e.indexOf(s),r=this.applyMask(t,s,i);(!n||r.rejected<n.rejected||r.rejected===n.rejected&&r.missing<n.missing)&&(n={...r,index:a})}),n}selectMask(t){return PatternMask.selectMask(t,this.masksData,(t,e)=>this.isCandidateMask(t,e),this.options.guide?this.options.placeholderChar:null)}render(t){if(!t)return this.input.value="",this.activeMaskIndex=-1,this.slots=[],void(this.nextSlotPosition=0);const e=this.selectMask(t);if(this.activeMaskIndex=e.index,this.slots=e.slots,this.nextSlotPosition=e.value.length,this.options.guide&&null!==e.guidedValue){const t=e.guidedValue.indexOf(this.options.placeholderChar,e.value.length);this.nextSlotPosition=-1===t?e.guidedValue.length:t,this.input.value=e.guidedValue}else this.input.value=e.value}bindHandlers(){return{...super.bindHandlers(),click:this.lockCursorPosition.bind(this),keyup:this.lockCursorPosition.bind(this)}}getSubmitValue(){return this.getUnmaskedValue()}acceptsText(t){return Array.from(t).some(t=>this.acceptsChar(t))}deleteRange(t){const e=this.input.selectionStart,s=this.input.selectionEnd,i=this.getUnmaskedValue();let a=this.getCursorPosInUnmaskedValue(e),n=this.getCursorPosInUnmaskedValue(s);a===n&&(t?n=a+1:a>0&&a--),this.render(i.slice(0,a)+i.slice(n)),this.notifyChanges(),this.setCursorPositionInFormatted(a),this.recordHistory()}getCursorPosInUnmaskedValue(t){return-1===this.activeMaskIndex?t:this.slots.filter(e=>e<t).length}setCursorPositionInFormatted(t){let e=t;-1!==this.activeMaskIndex&&(e=t<this.slots.length?this.slots[t]:this.nextSlotPosition),this.input.setSelectionRange(e,e)}adjustCursorPosition(){if(-1===this.activeMaskIndex)return;let t=Math.min(this.input.selectionStart,this.nextSlotPosition);for(;t<this.nextSlotPosition&&!this.slots.includes(t);)t++;this.input.setSelectionRange(t,t)}lockCursorPosition(){const{selectionStart:t,selectionEnd:e}=this.input;this.options.guide&&t===e&&t>this.nextSlotPosition&&this.input.setSelectionRange(this.nextSlotPosition,this.nextSlotPosition)}handlePaste(t){t.preventDefault();const e=(t.clipboardData||window.clipboardData).getData("text");this.setValue(e),this.adjustCursorPosition(),this.recordHistory()}handleInput(t){if(t.isComposing)return;const e=this.input.value,s=null===this.input.selectionStart?e.length:this.input.selectionStart,i=this.unmask(e.slice(0,s),void 0,e.slice(s)).length;this.render(this.unmask(e)),this.notifyChanges(),this.setCursorPositionInFormatted(i),this.adjustCursorPosition(),this.recordHistory()}handleBlur(t){this.touched=!0,this.validateInput()}restoreValue(t){this.render(this.unmask(t))}getUnmaskedValue(){return this.unmask(this.input.value)}getPlainValue(){return this.getUnmaskedValue()}getValue(){const t=this.getUnmaskedValue();return 0===t.length?null:t}setValue(t){null==t||""===t?this.render(""):this.render(this.unmask(String(t))),this.notifyChanges(),this.recordHistory()}getErrorMessage(){return PatternMask.findMessage(this.options.messages)||this.constructor.DEFAULT_MESSAGES.en}isComplete(){if(-1===this.activeMaskIndex)return!this.input.value;const t=PatternMask.applyMask(this.getUnmaskedValue(),this.masksData[this.activeMaskIndex]);return 0===t.missing&&0===t.rejected}isValid(){if(!this.isComplete())return!1;const t=this.getUnmaskedValue();return!t||this.masksData.some(e=>this.isCandidateMask(e,t))}getError(){return this.isValid()?null:{message:this.getErrorMessage()}}getState(){return{value:this.input.value,maskIndex:this.activeMaskIndex,complete:!!this.input.value&&this.isComplete()}}notifyChanges(){this.syncHiddenInput();const t=this.updateValidity(),e=this.lastState,s=this.getState();this.lastState=s,e&&(s.value!==e.value&&this.dispatch("change"),s.maskIndex!==e.maskIndex&&-1!==s.maskIndex&&this.dispatch("maskswitch",{previousMaskIndex:e.maskIndex}),t&&this.dispatch("invalid",t),!s.complete||e.complete&&s.maskIndex===e.maskIndex||(this.dispatch("complete"),this.announce(s.value)))}getEventDetail(){return{unmaskedValue:this.getUnmaskedValue(),value:this.getValue(),maskIndex:this.activeMaskIndex}}}"undefined"!=typeof module&&module.exports&&(module.exports=PatternMask);
\ No newline at end of file
@@ -0,0 +1,678 @@
+/**
+ * @fileoverview A JavaScript class for masking inputs with arbitrary character patterns.
+ * @version 1.0.0
+ * @author Bernhard Enders
+ * @license MIT
+ * @modified 2026-10-19
+ * @requires input-mask.js
+ */
+
+/**
+ * PatternMask class provides generic pattern masking functionality
+ * @class
+ * @classdesc Formats input fields against one or more masks made of tokens (digits, letters,
+ * alphanumerics, optional slots and custom tokens) and literal characters.
+ *
+ * @example
+ * // Brazilian license plates, old and Mercosul formats
+ * const mask = new PatternMask('#plate', {
+ *   masks: ['UUU-####', 'UUU#U##'],
+ *   tokens: {
+ *     'U': { pattern: /[A-Z]/, transform: char => char.toUpperCase() }
+ *   }
+ * });
+ */
+class PatternMask extends (typeof InputMask !== 'undefined' ? InputMask : require('./input-mask.js')) {
+
+    /**
+     * Built-in tokens. Each token matches a single character.
+     */
+    static TOKENS = {
+        '#': { pattern: /\d/ },
+        'A': { pattern: /[a-zA-Z]/ },
+        '*': { pattern: /[a-zA-Z0-9]/ },
+        '9': { pattern: /\d/, optional: true },
+    };
+
+    /**
+     * Character that turns the next mask character into a literal (e.g. '\\A').
+     */
+    static ESCAPE_CHAR = '\\';
+
+    static DEFAULT_MESSAGES = {
+        'en': 'Please match the requested format.',
+        'en-US': 'Please match the requested format.',
+        'pt': 'Preencha no formato solicitado.',
+        'pt-BR': 'Preencha no formato solicitado.',
+        'es': 'Ajuste el valor al formato solicitado.',
+        'fr': 'Veuillez respecter le format demandé.',
+        'de': 'Bitte halten Sie sich an das vorgegebene Format.',
+    };
+
+    /**
+     * Register a custom token for every mask created afterwards.
+     * @param {string} char - Single mask character.
+     * @param {{pattern: RegExp, transform?: function(string): string, optional?: boolean}} definition
+     */
+    static registerToken(char, definition) {
+        if (typeof char !== 'string' || char.length !== 1) {
+            throw new Error(`Invalid token character provided to ${this.name}.registerToken.`);
+        }
+        if (!definition || !(definition.pattern instanceof RegExp)) {
+            throw new Error(`Token "${char}" must define a RegExp pattern.`);
+        }
+        this.TOKENS = { ...this.TOKENS, [char]: definition };
+    }
+
+    /**
+     * Format a value with the best of the given masks, without an input (e.g. on a server
+     * or in a worker). Returns '' when no character fits the masks.
+     * @param {string} value - Raw or formatted text.
+     * @param {string|Array<string|Object>} masks
+     * @param {{tokens?: Object}} [options]
+     *
+     * @example
+     * PatternMask.format('12345678', '#####-###'); // "12345-678"
+     */
+    static format(value, masks, options = {}) {
+        const masksData = this.parseMasks(masks, options);
+        const raw = this.unmask(String(value ?? ''), masksData[0], masksData);
+        return raw ? this.selectMask(raw, masksData).value : '';
+    }
+
+    /**
+     * Strip the literals of the given masks from a text, returning the raw slot characters.
+     */
+    static parse(text, masks, options = {}) {
+        const masksData = this.parseMasks(masks, options);
+        return this.unmask(String(text ?? ''), masksData[0], masksData);
+    }
+
+    static parseMasks(masks, options = {}) {
+        const tokens = { ...this.TOKENS, ...options.tokens };
+        return (Array.isArray(masks) ? masks : [masks]).map(mask => this.parseMask(mask, tokens));
+    }
+
+    static getLocalizedMessage() {
+        return this.findMessage(this.DEFAULT_MESSAGES) || this.DEFAULT_MESSAGES['en'];
+    }
+
+    constructor(inputElementOrSelector, options = {}) {
+        super(inputElementOrSelector);
+        this.userOptions = { ...options };
+        this.configure(this.userOptions);
+
+        this.setupEventListeners();
+
+        // Apply mask to initial value
+        const initialValue = this.input.value;
+        if (initialValue) {
+            this.setValue(initialValue);
+        }
+
+        // No events are dispatched while the mask is being set up
+        this.lastState = this.getState();
+        this.initialized = true;
+        this.resetHistory();
+
+        this.setupSubmitRaw();
+        this.setupFeedback();
+    }
+
+    /**
+     * Complete the given options with defaults. Subclasses derive their masks here.
+     */
+    resolveOptions(options) {
+        return {
+            masks: [],
+            tokens: {},
+            submitRaw: false,
+            feedback: false,
+            errorClass: 'mask-invalid',
+            messageClass: 'mask-message',
+            messageContainer: null,
+            guide: false,
+            placeholderChar: '_',
+            ...options,
+            messages: {
+                ...this.constructor.DEFAULT_MESSAGES,
+                ...(options.messages || {})
+            }
+        };
+    }
+
+    /**
+     * Resolve options and parse masks.
+     */
+    configure(options) {
+        this.options = this.resolveOptions(options);
+
+        if (!Array.isArray(this.options.masks)) {
+            this.options.masks = [this.options.masks];
+        }
+
+        if (this.options.masks.length === 0) {
+            throw new Error(`No mask provided to ${this.constructor.name}.`);
+        }
+
+        this.tokens = { ...this.constructor.TOKENS, ...this.options.tokens };
+        this.masksData = this.options.masks.map(mask => this.constructor.parseMask(mask, this.tokens));
+        this.activeMaskIndex = -1;
+        this.slots = [];
+        this.nextSlotPosition = 0;
+
+        if (this.options.guide) {
+            const { placeholderChar } = this.options;
+            if (typeof placeholderChar !== 'string' || placeholderChar.length !== 1) {
+                throw new Error(`Invalid placeholder character provided to ${this.constructor.name}.`);
+            }
+            // Placeholders must never be taken for typed characters
+            if (this.acceptsChar(placeholderChar)) {
+                throw new Error(`Placeholder character "${placeholderChar}" is accepted by the masks of ${this.constructor.name}.`);
+            }
+        }
+    }
+
+    /**
+     * Split a mask string into literal and slot items. A mask can also be given as an
+     * object with a `mask` string; its other properties are kept on the parsed data.
+     * Such an object may declare match rules: `match`, a RegExp (or its source) the raw
+     * value must match, `test`, a predicate on the raw value, and a `priority`.
+     */
+    static parseMask(definition, tokens = this.TOKENS) {
+        const { mask, ...meta } = typeof definition === 'string' ? { mask: definition } : definition;
+        if (typeof meta.match === 'string') {
+            // Data attributes can only hold the pattern's source
+            meta.match = new RegExp(meta.match);
+        }
+        const items = [];
+        let slotCount = 0;
+        let requiredCount = 0;
+
+        for (let i = 0; i < mask.length; i++) {
+            let char = mask[i];
+            if (char === this.ESCAPE_CHAR && i + 1 < mask.length) {
+                items.push({ type: 'literal', char: mask[++i] });
+                continue;
+            }
+
+            const token = tokens[char];
+            if (token) {
+                items.push({
+                    type: 'slot',
+                    token: char,
+                    pattern: token.pattern,
+                    transform: token.transform,
+                    optional: !!token.optional
+                });
+                slotCount++;
+                if (!token.optional) requiredCount++;
+            } else {
+                items.push({ type: 'literal', char });
+            }
+        }
+
+        return { ...meta, mask, items, slotCount, requiredCount };
+    }
+
+    /**
+     * Return the (transformed) character if it fits the slot, null otherwise.
+     */
+    static conformChar(item, char) {
+        const value = item.transform ? item.transform(char) : char;
+        return item.pattern.test(value) ? value : null;
+    }
+
+    /**
+     * Whether a character fits any slot of any of the given masks.
+     */
+    static acceptsChar(char, masksData) {
+        return masksData.some(maskData =>
+            maskData.items.some(item => item.type === 'slot' && this.conformChar(item, char) !== null)
+        );
+    }
+
+    acceptsChar(char) {
+        return PatternMask.acceptsChar(char, this.masksData);
+    }
+
+    getActiveMaskData() {
+        return this.masksData[this.activeMaskIndex] || this.masksData[0];
+    }
+
+    /**
+     * Strip mask literals from a (possibly formatted) text, keeping only slot characters.
+     * Characters that fit some token are kept even when they don't fit the current slot,
+     * so that the best mask can be picked afterwards.
+     * Literals are only read as such where the text is formatted (see readLiterals);
+     * otherwise they are typed characters, so "55999998888" fills "+55 (##) #####-####".
+     * `following` is the text after `text` (e.g. right of the caret): it only helps
+     * telling both apart, and none of its characters are returned.
+     */
+    static unmask(text, maskData, masksData = [maskData], following = '') {
+        const chars = Array.from(text + following);
+        const length = Array.from(text).length;
+        const { items } = maskData;
+        let raw = '';
+        let itemIndex = 0;
+
+        for (let charIndex = 0; charIndex < length; charIndex++) {
+            let item = items[itemIndex];
+            if (item && item.type === 'literal') {
+                const literals = this.readLiterals(chars, charIndex, items, itemIndex, masksData);
+                if (literals) {
+                    charIndex = literals.charIndex - 1;
+                    itemIndex = literals.itemIndex;
+                    continue;
+                }
+            }
+
+            const char = chars[charIndex];
+            if (!this.acceptsChar(char, masksData)) continue;
+            // Literals missing from the text (raw values, deletions) are skipped
+            while (item && item.type === 'literal') {
+                item = items[++itemIndex];
+            }
+            raw += char;
+            itemIndex++;
+        }
+        return raw;
+    }
+
+    /**
+     * Read the run of literals starting at items[itemIndex] from chars[charIndex], if the text
+     * is formatted there: the run starts right where the mask expects it, and is followed by
+     * slot content or ends the mask. Literals that no slot accepts may be missing from the
+     * text, the others may not, so "2025" isn't taken for "2024-5" by "2024-####".
+     * Returns the indexes following the run, or null.
+     */
+    static readLiterals(chars, charIndex, items, itemIndex, masksData) {
+        if (chars[charIndex] !== items[itemIndex].char) return null;
+
+        for (; itemIndex < items.length && items[itemIndex].type === 'literal'; itemIndex++) {
+            const { char } = items[itemIndex];
+            if (chars[charIndex] === char) {
+                charIndex++;
+            } else if (this.acceptsChar(char, masksData)) {
+                return null;
+            }
+        }
+
+        const next = chars[charIndex];
+        if (itemIndex < items.length && (next === undefined || !this.acceptsChar(next, masksData))) {
+            return null;
+        }
+        return { charIndex, itemIndex };
+    }
+
+    unmask(text, maskData = this.getActiveMaskData(), following = '') {
+        if (this.options.guide) {
+            text = text.split(this.options.placeholderChar).join('');
+            following = following.split(this.options.placeholderChar).join('');
+        }
+        return PatternMask.unmask(text, maskData, this.masksData, following);
+    }
+
+    /**
+     * Format raw slot characters with a mask. Literals are only emitted in front of a
+     * filled slot, or at the end once every required slot is filled.
+     * With a placeholder character, the result also holds `guidedValue`: the value followed
+     * by the rest of the mask, unfilled required slots shown as placeholders.
+     */
+    static applyMask(raw, maskData, placeholderChar = null) {
+        const { items } = maskData;
+        const slots = [];
+        let value = '';
+        let pending = '';
+        let rawIndex = 0;
+        let itemIndex = 0;
+        let placed = 0;
+        let placedRequired = 0;
+
+        for (; itemIndex < items.length && rawIndex < raw.length; itemIndex++) {
+            const item = items[itemIndex];
+            if (item.type === 'literal') {
+                pending += item.char;
+                continue;
+            }
+
+            if (item.optional && this.conformChar(item, raw[rawIndex]) === null) continue;
+
+            let char = null;
+            while (char === null && rawIndex < raw.length) {
+                char = this.conformChar(item, raw[rawIndex++]);
+            }
+            if (char === null) break;
+
+            value += pending;
+            pending = '';
+            slots.push(value.length);
+            value += char;
+            placed++;
+            if (!item.optional) placedRequired++;
+        }
+
+        const missing = maskData.requiredCount - placedRequired;
+        const rest = items.slice(itemIndex);
+        let guidedValue = null;
+        if (missing === 0 && rest.every(item => item.type === 'literal')) {
+            value += pending + rest.map(item => item.char).join('');
+            guidedValue = value;
+        } else if (placeholderChar !== null) {
+            guidedValue = value + pending + rest
+                .map(item => item.type === 'literal' ? item.char : item.optional ? '' : placeholderChar)
+                .join('');
+        }
+
+        return { value, guidedValue, slots, placed, missing, rejected: raw.length - placed };
+    }
+
+    /**
+     * Whether a raw value satisfies the match rules of a mask. Masks without rules match anything.
+     */
+    static matchesRules(maskData, raw) {
+        if (maskData.match && !maskData.match.test(raw)) return false;
+        if (typeof maskData.test === 'function' && !maskData.test(raw)) return false;
+        return true;
+    }
+
+    /**
+     * Whether a mask may be used for the given raw value: by default, when its rules match.
+     */
+    isCandidateMask(maskData, raw) {
+        return PatternMask.matchesRules(maskData, raw);
+    }
+
+    /**
+     * Pick the candidate mask that rejects the fewest characters, then leaves the fewest
+     * missing: a mask holding every typed character always beats a shorter, complete one,
+     * so "123456" moves from "#####" on to "#####-####".
+     * Only the candidates with the highest priority compete; ties go to the mask declared
+     * first. When no mask is a candidate, all of them are.
+     */
+    static selectMask(raw, masksData, isCandidateMask = (maskData, raw) => this.matchesRules(maskData, raw), placeholderChar = null) {
+        let candidates = masksData.filter(maskData => isCandidateMask(maskData, raw));
+        if (candidates.length === 0) {
+            candidates = masksData;
+        } else {
+            const priority = Math.max(...candidates.map(maskData => maskData.priority || 0));
+            candidates = candidates.filter(maskData => (maskData.priority || 0) === priority);
+        }
+
+        let best = null;
+        candidates.forEach(maskData => {
+            const index = masksData.indexOf(maskData);
+            const result = this.applyMask(raw, maskData, placeholderChar);
+            if (!best || result.rejected < best.rejected ||
+                (result.rejected === best.rejected && result.missing < best.missing)) {
+                best = { ...result, index };
+            }
+        });
+        return best;
+    }
+
+    selectMask(raw) {
+        return PatternMask.selectMask(
+            raw,
+            this.masksData,
+            (maskData, raw) => this.isCandidateMask(maskData, raw),
+            this.options.guide ? this.options.placeholderChar : null
+        );
+    }
+
+    /**
+     * Render raw slot characters into the input using the best mask. In guide mode, the
+     * rest of the active mask follows the typed characters, e.g. "(11) 9____-____".
+     */
+    render(raw) {
+        if (!raw) {
+            this.input.value = '';
+            this.activeMaskIndex = -1;
+            this.slots = [];
+            this.nextSlotPosition = 0;
+            return;
+        }
+
+        const match = this.selectMask(raw);
+        this.activeMaskIndex = match.index;
+        this.slots = match.slots;
+        // The caret goes right after the typed characters (and the literals that follow them)
+        this.nextSlotPosition = match.value.length;
+        if (this.options.guide && match.guidedValue !== null) {
+            const placeholderIndex = match.guidedValue.indexOf(this.options.placeholderChar, match.value.length);
+            this.nextSlotPosition = placeholderIndex === -1 ? match.guidedValue.length : placeholderIndex;
+            this.input.value = match.guidedValue;
+        } else {
+            this.input.value = match.value;
+        }
+    }
+
+    bindHandlers() {
+        return {
+            ...super.bindHandlers(),
+            click: this.lockCursorPosition.bind(this),
+            keyup: this.lockCursorPosition.bind(this),
+        };
+    }
+
+    /**
+     * Return the value submitted by the hidden input.
+     */
+    getSubmitValue() {
+        return this.getUnmaskedValue();
+    }
+
+    /**
+     * Whether inserted text holds at least one character that some mask accepts.
+     */
+    acceptsText(text) {
+        return Array.from(text).some(char => this.acceptsChar(char));
+    }
+
+    /**
+     * Delete the selection, or the slot character next to the caret, skipping literals.
+     */
+    deleteRange(forward) {
+        const start = this.input.selectionStart;
+        const end = this.input.selectionEnd;
+        const unmaskedValue = this.getUnmaskedValue();
+        let from = this.getCursorPosInUnmaskedValue(start);
+        let to = this.getCursorPosInUnmaskedValue(end);
+
+        if (from === to) {
+            if (forward) {
+                to = from + 1;
+            } else if (from > 0) {
+                from--;
+            }
+        }
+
+        this.render(unmaskedValue.slice(0, from) + unmaskedValue.slice(to));
+        this.notifyChanges();
+        this.setCursorPositionInFormatted(from);
+        this.recordHistory();
+    }
+
+    getCursorPosInUnmaskedValue(formattedCursorPos) {
+        if (this.activeMaskIndex === -1) return formattedCursorPos;
+        return this.slots.filter(position => position < formattedCursorPos).length;
+    }
+
+    setCursorPositionInFormatted(unmaskedCursorPos) {
+        let formattedCursorPos = unmaskedCursorPos;
+        if (this.activeMaskIndex !== -1) {
+            formattedCursorPos = unmaskedCursorPos < this.slots.length
+                ? this.slots[unmaskedCursorPos]
+                : this.nextSlotPosition;
+        }
+        this.input.setSelectionRange(formattedCursorPos, formattedCursorPos);
+    }
+
+    /**
+     * Move the caret forward past literals, up to the next slot, and never past the
+     * first unfilled one.
+     */
+    adjustCursorPosition() {
+        if (this.activeMaskIndex === -1) return;
+        let cursorPosition = Math.min(this.input.selectionStart, this.nextSlotPosition);
+        while (cursorPosition < this.nextSlotPosition && !this.slots.includes(cursorPosition)) {
+            cursorPosition++;
+        }
+        this.input.setSelectionRange(cursorPosition, cursorPosition);
+    }
+
+    /**
+     * In guide mode, keep a caret put among the placeholders (by a click or the arrow keys)
+     * on the next slot to fill.
+     */
+    lockCursorPosition() {
+        const { selectionStart, selectionEnd } = this.input;
+        if (this.options.guide && selectionStart === selectionEnd && selectionStart > this.nextSlotPosition) {
+            this.input.setSelectionRange(this.nextSlotPosition, this.nextSlotPosition);
+        }
+    }
+
+    handlePaste(event) {
+        event.preventDefault();
+        const pastedData = (event.clipboardData || window.clipboardData).getData('text');
+        this.setValue(pastedData);
+        this.adjustCursorPosition();
+        this.recordHistory();
+    }
+
+    handleInput(event) {
+        // Reformatting in the middle of an IME composition would break it; wait for compositionend
+        if (event.isComposing) return;
+
+        const value = this.input.value;
+        const caret = this.input.selectionStart === null ? value.length : this.input.selectionStart;
+        const unmaskedCursorPos = this.unmask(value.slice(0, caret), undefined, value.slice(caret)).length;
+
+        this.render(this.unmask(value));
+        this.notifyChanges();
+        this.setCursorPositionInFormatted(unmaskedCursorPos);
+        this.adjustCursorPosition();
+        this.recordHistory();
+    }
+
+    handleBlur(event) {
+        this.touched = true;
+        this.validateInput();
+    }
+
+    restoreValue(value) {
+        this.render(this.unmask(value));
+    }
+
+    getUnmaskedValue() {
+        return this.unmask(this.input.value);
+    }
+
+    /**
+     * Return the value kept by updateOptions() and left in the input by destroy(): text that
+     * setValue() reads back as the same value. By default, the unmasked value.
+     */
+    getPlainValue() {
+        return this.getUnmaskedValue();
+    }
+
+    getValue() {
+        const unmaskedValue = this.getUnmaskedValue();
+        return unmaskedValue.length === 0 ? null : unmaskedValue;
+    }
+
+    setValue(value) {
+        if (value === null || value === undefined || value === '') {
+            this.render('');
+        } else {
+            this.render(this.unmask(String(value)));
+        }
+        this.notifyChanges();
+        this.recordHistory();
+    }
+
+    getErrorMessage() {
+        return PatternMask.findMessage(this.options.messages) || this.constructor.DEFAULT_MESSAGES['en'];
+    }
+
+    /**
+     * Whether the current value fills every required slot of the active mask.
+     * An empty input is considered complete; use the `required` attribute for mandatory fields.
+     */
+    isComplete() {
+        if (this.activeMaskIndex === -1) return !this.input.value;
+        const result = PatternMask.applyMask(this.getUnmaskedValue(), this.masksData[this.activeMaskIndex]);
+        return result.missing === 0 && result.rejected === 0;
+    }
+
+    /**
+     * Whether the current value is acceptable: complete, and matching the rules of some mask.
+     * Subclasses add their own checks here.
+     */
+    isValid() {
+        if (!this.isComplete()) return false;
+        const raw = this.getUnmaskedValue();
+        return !raw || this.masksData.some(maskData => this.isCandidateMask(maskData, raw));
+    }
+
+    /**
+     * Return the error reported when the value isn't valid, or null.
+     * @returns {{message: string}|null}
+     */
+    getError() {
+        return this.isValid() ? null : { message: this.getErrorMessage() };
+    }
+
+    getState() {
+        return {
+            value: this.input.value,
+            maskIndex: this.activeMaskIndex,
+            complete: !!this.input.value && this.isComplete()
+        };
+    }
+
+    /**
+     * Validate the current value and dispatch what changed since the last call, in this order:
+     * mask:change, mask:maskswitch, then mask:invalid or mask:complete. The input's validity
+     * is already up to date when they fire.
+     */
+    notifyChanges() {
+        this.syncHiddenInput();
+        const newError = this.updateValidity();
+
+        const previous = this.lastState;
+        const current = this.getState();
+        this.lastState = current;
+        if (!previous) return;
+
+        if (current.value !== previous.value) {
+            this.dispatch('change');
+        }
+        if (current.maskIndex !== previous.maskIndex && current.maskIndex !== -1) {
+            this.dispatch('maskswitch', { previousMaskIndex: previous.maskIndex });
+        }
+        if (newError) {
+            this.dispatch('invalid', newError);
+        }
+        // Switching to another mask that is complete right away completes the value again
+        if (current.complete && (!previous.complete || current.maskIndex !== previous.maskIndex)) {
+            this.dispatch('complete');
+            this.announce(current.value);
+        }
+    }
+
+    /**
+     * Return what the mask:* events report besides the formatted value.
+     */
+    getEventDetail() {
+        return {
+            unmaskedValue: this.getUnmaskedValue(),
+            value: this.getValue(),
+            maskIndex: this.activeMaskIndex
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PatternMask;
+}
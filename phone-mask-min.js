@@ -1 +1 @@
-class PhoneNumberMask{static DEFAULT_MESSAGES={en:"Please enter a valid phone number.","en-US":"Please enter a valid phone number.",pt:"Digite um número de telefone válido.","pt-BR":"Digite um número de telefone válido.",es:"Ingrese un número de teléfono válido.",fr:"Veuillez entrer un numéro de téléphone valide.",de:"Bitte geben Sie eine gültige Telefonnummer ein."};constructor(e,t={}){if("string"==typeof e)this.input=document.querySelector(e);else{if(!(e instanceof HTMLElement))throw new Error("Invalid input element or selector provided to PhoneNumberMask.");this.input=e}if(!this.input)throw new Error("Input element not found for PhoneNumberMask.");this.options={masks:["(##) #####-####"],messages:{...PhoneNumberMask.DEFAULT_MESSAGES,...t.messages||{}},...t},Array.isArray(this.options.masks)||(this.options.masks=[this.options.masks]),this.masksData=this.options.masks.map((e=>this.parseMask(e))),this.activeMaskIndex=-1,this.setupEventListeners();const s=this.input.value;s&&this.setValue(s)}parseMask(e){let t="^",s=[],a=0,i=0;for(let n=0;n<e.length;n++)"#"===e[n]?(t+="(\\d?)",s.push({index:n,charIndex:a}),a++,i++):t+=this.escapeRegExp(e[n]);return t+="$",{regex:new RegExp(t),placeholders:s,mask:e,placeholderChar:"#",digitCount:i}}escapeRegExp(e){return e.replace(/[.*+?^${}()|[\]\\]/g,"\\$&")}getErrorMessage(){const e=navigator.languages||[navigator.language||navigator.userLanguage];for(const t of e){if(this.options.messages[t])return this.options.messages[t];const e=t.split("-")[0];if(this.options.messages[e])return this.options.messages[e]}return this.options.messages.en||PhoneNumberMask.DEFAULT_MESSAGES.en}static getLocalizedMessage(){const e=navigator.languages||[navigator.language||navigator.userLanguage];for(const t of e){if(PhoneNumberMask.DEFAULT_MESSAGES[t])return PhoneNumberMask.DEFAULT_MESSAGES[t];const e=t.split("-")[0];if(PhoneNumberMask.DEFAULT_MESSAGES[e])return PhoneNumberMask.DEFAULT_MESSAGES[e]}return PhoneNumberMask.DEFAULT_MESSAGES.en}static apply(e,t={}){document.querySelectorAll(e).forEach((e=>new PhoneNumberMask(e,t)))}setupEventListeners(){this.input.addEventListener("input",this.handleInput.bind(this)),this.input.addEventListener("blur",this.handleBlur.bind(this)),this.input.addEventListener("keydown",this.handleKeyDown.bind(this)),this.input.addEventListener("paste",this.handlePaste.bind(this))}handleKeyDown(e){const t=e.keyCode;if(!((e.ctrlKey||e.metaKey)&&[65,67,86,88].includes(t)||[9,27,13].includes(t)||t>=35&&t<=40))if(8===t||46===t){e.preventDefault();let s=this.input.selectionStart,a=this.input.selectionEnd,i=this.getUnmaskedValue(),n=i,r=this.getCursorPosInUnmaskedValue(s);const o=this.masksData[this.activeMaskIndex];if(s===a){if(8===t){let e=s-1;for(;e>=0&&o.mask[e]!==o.placeholderChar;)e--;e>=0&&(r=this.getCursorPosInUnmaskedValue(e),n=i.slice(0,r)+i.slice(r+1))}else if(46===t){let e=s;for(;e<o.mask.length&&o.mask[e]!==o.placeholderChar;)e++;if(e<o.mask.length){let t=this.getCursorPosInUnmaskedValue(e);n=i.slice(0,t)+i.slice(t+1)}}}else n=i.slice(0,this.getCursorPosInUnmaskedValue(s))+i.slice(this.getCursorPosInUnmaskedValue(a)),r=this.getCursorPosInUnmaskedValue(s);this.setValue(n),this.setCursorPositionInFormatted(r)}else(e.shiftKey||t<48||t>57)&&(t<96||t>105)&&e.preventDefault()}getCursorPosInUnmaskedValue(e){if(-1===this.activeMaskIndex)return e;const t=this.masksData[this.activeMaskIndex];let s=0;for(let a=0;a<e;a++)t.mask[a]===t.placeholderChar&&s++;return s}setCursorPositionInFormatted(e){if(-1===this.activeMaskIndex)return void this.input.setSelectionRange(e,e);const t=this.masksData[this.activeMaskIndex];let s=0,a=0;for(let i=0;i<t.mask.length;i++){if(t.mask[i]===t.placeholderChar){if(a===e){s=i;break}a++}s++}for(;s<t.mask.length&&t.mask[s]!==t.placeholderChar;)s++;this.input.setSelectionRange(s,s)}handlePaste(e){e.preventDefault();const t=(e.clipboardData||window.clipboardData).getData("text");this.setValue(t.replace(/\D/g,"")),this.adjustCursorPosition()}handleInput(e){if("deleteContentBackward"===e.inputType||"deleteContentForward"===e.inputType)return;let t=e.target.value.replace(/\D/g,""),s=-1,a=1/0,i="";for(let e=0;e<this.masksData.length;e++){const n=this.masksData[e];let r="",o=0;for(let e=0;e<n.mask.length;e++)n.mask[e]===n.placeholderChar?r+=o<t.length?t[o++]:"":r+=n.mask[e];if(n.regex.test(r)){const o=Math.abs(n.digitCount-t.length);o<a&&(a=o,s=e,i=r)}}this.activeMaskIndex=s,-1!==s&&this.masksData[s].regex.test(i)?e.target.value=i:e.target.value=t,this.validateInput(),this.adjustCursorPosition()}handleBlur(e){this.validateInput()}getUnmaskedValue(){return this.input.value.replace(/\D/g,"")}getValue(){if(!this.input||!this.input.value)return null;const e=this.input.value.replace(/\D/g,"");return 0===e.length?null:Number(e)}setValue(e){if(!this.input)return;if(null==e||""===e)return this.input.value="",this.activeMaskIndex=-1,void this.validateInput();let t=String(e).replace(/\D/g,""),s=-1,a=1/0,i="";for(let e=0;e<this.masksData.length;e++){const n=this.masksData[e];let r="",o=0;for(let e=0;e<n.mask.length;e++)n.mask[e]===n.placeholderChar?r+=o<t.length?t[o++]:"":r+=n.mask[e];if(n.regex.test(r)){const o=Math.abs(n.digitCount-t.length);o<a&&(a=o,s=e,i=r)}}this.activeMaskIndex=s,-1!==s&&this.masksData[s].regex.test(i)?this.input.value=i:this.input.value=t,this.validateInput()}adjustCursorPosition(){if(-1!==this.activeMaskIndex){const e=this.masksData[this.activeMaskIndex];let t=this.input.selectionStart;for(;t<this.input.value.length&&e.mask[t]!==e.placeholderChar;)t++;this.input.setSelectionRange(t,t)}}validateInput(){if(-1!==this.activeMaskIndex){const e=this.masksData[this.activeMaskIndex],t=e.regex.test(this.input.value),s=this.getUnmaskedValue().length===e.digitCount;t&&s?this.input.setCustomValidity(""):this.input.setCustomValidity(this.getErrorMessage())}else this.input.setCustomValidity(this.input.value?"":this.getErrorMessage())}}
\ No newline at end of file
+class PhoneNumberMask extends("undefined"!=typeof PatternMask?PatternMask:require("./pattern-mask-min.js")){static TOKENS={"#":{pattern:/\d/}};static DEFAULT_MESSAGES={en:"Please enter a valid phone number.","en-US":"Please enter a valid phone number.",pt:"Digite um número de telefone válido.","pt-BR":"Digite um número de telefone válido.",es:"Ingrese un número de teléfono válido.",fr:"Veuillez entrer un numéro de téléphone valide.",de:"Bitte geben Sie eine gültige Telefonnummer ein."};static COUNTRIES={AR:{callingCode:"54",masks:["## ####-####"],lengths:[10]},BR:{callingCode:"55",masks:["(##) ####-####","(##) #####-####"],lengths:[10,11]},DE:{callingCode:"49",masks:["#### ##","#### ###","#### ####","#### #####","#### ######","#### #######"],lengths:[6,7,8,9,10,11]},ES:{callingCode:"34",masks:["### ## ## ##"],lengths:[9]},FR:{callingCode:"33",masks:["# ## ## ## ##"],lengths:[9]},GB:{callingCode:"44",masks:["#### ######"],lengths:[10]},IT:{callingCode:"39",masks:["### ### ####"],lengths:[10]},MX:{callingCode:"52",masks:["## #### ####"],lengths:[10]},PT:{callingCode:"351",masks:["### ### ###"],lengths:[9]},US:{callingCode:"1",masks:["(###) ###-####"],lengths:[10]}};static FALLBACK_INTERNATIONAL_MASK="+###############";static format(t,e=["(##) #####-####"],n={}){return super.format(t,e,n)}static parse(t){return String(t??"").replace(/\D/g,"")}resolveOptions(t){const e=t.country||null;if(e&&!PhoneNumberMask.COUNTRIES[e])throw new Error(`Unknown country "${e}" provided to PhoneNumberMask.`);let n=t.masks||(e?PhoneNumberMask.COUNTRIES[e].masks:["(##) #####-####"]);return t.international&&(n=PhoneNumberMask.buildInternationalMasks()),super.resolveOptions({international:!1,...t,country:e,masks:n})}static buildInternationalMasks(){const t=[];for(const[e,n]of Object.entries(this.COUNTRIES)){const s="+"+"#".repeat(n.callingCode.length)+" ";n.masks.forEach(n=>t.push({mask:s+n,country:e}))}return t.push({mask:this.FALLBACK_INTERNATIONAL_MASK,country:null}),t}static detectCountry(t){let e=null;for(const[n,s]of Object.entries(this.COUNTRIES))t.startsWith(s.callingCode)&&(!e||s.callingCode.length>this.COUNTRIES[e].callingCode.length)&&(e=n);return e}getCountry(){return this.options.international?PhoneNumberMask.detectCountry(this.getUnmaskedValue()):this.options.country}getNationalNumber(){const t=this.getUnmaskedValue(),e=this.getCountry();return this.options.international&&e?t.slice(PhoneNumberMask.COUNTRIES[e].callingCode.length):t}isCandidateMask(t,e){return this.options.international?t.country===PhoneNumberMask.detectCountry(e):super.isCandidateMask(t,e)}unmask(t,e,n){if(this.options.international&&this.options.country&&t&&!t.includes("+"))t="+"+PhoneNumberMask.COUNTRIES[this.options.country].callingCode+t;else if(!this.options.international&&t&&t.trimStart().startsWith("+")){const e=t.replace(/\D/g,""),n=this.options.country||PhoneNumberMask.detectCountry(e);n&&e.startsWith(PhoneNumberMask.COUNTRIES[n].callingCode)&&(t=e.slice(PhoneNumberMask.COUNTRIES[n].callingCode.length))}return super.unmask(t,e,n)}acceptsText(t){return!(!this.options.international||!t.startsWith("+")||0!==this.input.selectionStart)||super.acceptsText(t)}handleInput(t){if(this.options.international&&"+"===this.input.value)return this.activeMaskIndex=-1,void(this.slots=[]);super.handleInput(t)}getValue(t){if(!this.input||!this.input.value)return null;const e=this.getUnmaskedValue();if(0===e.length)return null;if(!t)return Number(e);const n=this.getCountry();if(!n)return null;switch(t){case"e164":return"+"+PhoneNumberMask.COUNTRIES[n].callingCode+this.getNationalNumber();case"national":return this.getNationalNumber();default:throw new Error(`Unknown phone number format "${t}".`)}}getPlainValue(){const t=super.getPlainValue();return this.options.international&&t?"+"+t:t}getSubmitValue(){return"e164"===this.options.submitRaw||"national"===this.options.submitRaw?this.getValue(this.options.submitRaw)||"":this.options.international?this.getValue("e164")||"+"+this.getUnmaskedValue():this.getUnmaskedValue()}isValid(){if(!this.input.value||!super.isValid())return!1;if(!this.options.international)return!0;const t=this.getCountry();return!!t&&PhoneNumberMask.COUNTRIES[t].lengths.includes(this.getNationalNumber().length)}}"undefined"!=typeof module&&module.exports&&(module.exports=PhoneNumberMask);
\ No newline at end of file
@@ -1,12 +1,18 @@
 /**
  * @fileoverview A JavaScript class for formatting and validating phone numbers.
- * @version 1.0.8
+ * @version 2.0.0
  * @author Bernhard Enders
  * @license MIT
- * @modified 2025-02-12
+ * @modified 2026-10-19
+ * @requires pattern-mask.js
  */
 
-class PhoneNumberMask {
+class PhoneNumberMask extends (typeof PatternMask !== 'undefined' ? PatternMask : require('./pattern-mask.js')) {
+
+    // Phone masks only know the digit placeholder, so any other character is a literal.
+    static TOKENS = {
+        '#': { pattern: /\d/ },
+    };
 
     static DEFAULT_MESSAGES = {
         'en': 'Please enter a valid phone number.',
@@ -18,337 +24,208 @@ class PhoneNumberMask {
         'de': 'Bitte geben Sie eine gültige Telefonnummer ein.',
     };
 
-    constructor(inputElementOrSelector, options = {}) {
-        if (typeof inputElementOrSelector === 'string') {
-            this.input = document.querySelector(inputElementOrSelector);
-        } else if (inputElementOrSelector instanceof HTMLElement) {
-            this.input = inputElementOrSelector;
-        } else {
-            throw new Error("Invalid input element or selector provided to PhoneNumberMask.");
-        }
-
-        if (!this.input) {
-            throw new Error("Input element not found for PhoneNumberMask.");
-        }
-
-        this.options = {
-            masks: ["(##) #####-####"], // Default
-            messages: {
-                ...PhoneNumberMask.DEFAULT_MESSAGES,
-                ...(options.messages || {})
-            },
-            ...options
-        };
-
-        if (!Array.isArray(this.options.masks)) {
-            this.options.masks = [this.options.masks];
-        }
-
-        this.masksData = this.options.masks.map(mask => this.parseMask(mask));
-        this.activeMaskIndex = -1;
-
-        this.setupEventListeners();
-
-        // *** Crucial: Apply mask to initial value ***
-        const initialValue = this.input.value;
-        if (initialValue) {
-            this.setValue(initialValue);
-        }
-    }
-
-    parseMask(mask) {
-        const placeholderChar = '#';
-        let regexStr = '^';
-        let placeholders = [];
-        let charIndex = 0;
-        let digitCount = 0;
+    /**
+     * Country calling codes, national masks and valid national number lengths.
+     */
+    static COUNTRIES = {
+        'AR': { callingCode: '54', masks: ['## ####-####'], lengths: [10] },
+        'BR': { callingCode: '55', masks: ['(##) ####-####', '(##) #####-####'], lengths: [10, 11] },
+        // Area codes and subscriber numbers both vary in length: short city numbers have 6 digits
+        'DE': {
+            callingCode: '49',
+            masks: ['#### ##', '#### ###', '#### ####', '#### #####', '#### ######', '#### #######'],
+            lengths: [6, 7, 8, 9, 10, 11]
+        },
+        'ES': { callingCode: '34', masks: ['### ## ## ##'], lengths: [9] },
+        'FR': { callingCode: '33', masks: ['# ## ## ## ##'], lengths: [9] },
+        'GB': { callingCode: '44', masks: ['#### ######'], lengths: [10] },
+        'IT': { callingCode: '39', masks: ['### ### ####'], lengths: [10] },
+        'MX': { callingCode: '52', masks: ['## #### ####'], lengths: [10] },
+        'PT': { callingCode: '351', masks: ['### ### ###'], lengths: [9] },
+        'US': { callingCode: '1', masks: ['(###) ###-####'], lengths: [10] },
+    };
 
-        for (let i = 0; i < mask.length; i++) {
-            if (mask[i] === placeholderChar) {
-                regexStr += '(\\d?)';
-                placeholders.push({ index: i, charIndex: charIndex });
-                charIndex++;
-                digitCount++;
-            } else {
-                regexStr += this.escapeRegExp(mask[i]);
-            }
-        }
-        regexStr += '$';
+    // Used in international mode while the calling code is still unknown (E.164 allows 15 digits)
+    static FALLBACK_INTERNATIONAL_MASK = '+###############';
 
-        return {
-            regex: new RegExp(regexStr),
-            placeholders,
-            mask,
-            placeholderChar,
-            digitCount
-        };
+    /**
+     * Format digits with the best of the given masks, without an input.
+     *
+     * @example
+     * PhoneNumberMask.format('11987654321'); // "(11) 98765-4321"
+     * PhoneNumberMask.format('2125550123', PhoneNumberMask.COUNTRIES.US.masks); // "(212) 555-0123"
+     */
+    static format(digits, masks = ["(##) #####-####"], options = {}) {
+        return super.format(digits, masks, options);
     }
 
-    escapeRegExp(string) {
-        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    /**
+     * Return the digits of a formatted phone number.
+     */
+    static parse(text) {
+        return String(text ?? '').replace(/\D/g, '');
     }
 
-    getErrorMessage() {
-        const userLanguages = navigator.languages || [navigator.language || navigator.userLanguage];
-        for (const language of userLanguages) {
-            if (this.options.messages[language]) return this.options.messages[language];
-            const generalLanguage = language.split('-')[0];
-            if (this.options.messages[generalLanguage]) return this.options.messages[generalLanguage];
+    resolveOptions(options) {
+        const country = options.country || null;
+        if (country && !PhoneNumberMask.COUNTRIES[country]) {
+            throw new Error(`Unknown country "${country}" provided to PhoneNumberMask.`);
         }
-        return this.options.messages['en'] || PhoneNumberMask.DEFAULT_MESSAGES['en'];
-    }
 
-    static getLocalizedMessage() {
-        const userLanguages = navigator.languages || [navigator.language || navigator.userLanguage];
-        for (const language of userLanguages) {
-            if (PhoneNumberMask.DEFAULT_MESSAGES[language]) return PhoneNumberMask.DEFAULT_MESSAGES[language];
-            const generalLanguage = language.split('-')[0];
-            if (PhoneNumberMask.DEFAULT_MESSAGES[generalLanguage]) return PhoneNumberMask.DEFAULT_MESSAGES[generalLanguage];
+        let masks = options.masks || (country ? PhoneNumberMask.COUNTRIES[country].masks : ["(##) #####-####"]); // Default
+        if (options.international) {
+            masks = PhoneNumberMask.buildInternationalMasks();
         }
-        return PhoneNumberMask.DEFAULT_MESSAGES['en'];
-    }
-
-    static apply(selector, options = {}) {
-        document.querySelectorAll(selector).forEach(input => new PhoneNumberMask(input, options));
-    }
 
-    setupEventListeners() {
-        this.input.addEventListener('input', this.handleInput.bind(this));
-        this.input.addEventListener('blur', this.handleBlur.bind(this));
-        this.input.addEventListener('keydown', this.handleKeyDown.bind(this));
-        this.input.addEventListener('paste', this.handlePaste.bind(this));
+        return super.resolveOptions({
+            international: false,
+            ...options,
+            country,
+            masks
+        });
     }
 
-    handleKeyDown(event) {
-        const keyCode = event.keyCode;
-
-        if ((event.ctrlKey || event.metaKey) && [65, 67, 86, 88].includes(keyCode) ||
-            [9, 27, 13].includes(keyCode) || (keyCode >= 35 && keyCode <= 40)) {
-            return;
+    /**
+     * Prefix every country mask with its calling code, e.g. "+## (##) #####-####" for Brazil.
+     */
+    static buildInternationalMasks() {
+        const masks = [];
+        for (const [country, data] of Object.entries(this.COUNTRIES)) {
+            const prefix = '+' + '#'.repeat(data.callingCode.length) + ' ';
+            data.masks.forEach(mask => masks.push({ mask: prefix + mask, country }));
         }
+        masks.push({ mask: this.FALLBACK_INTERNATIONAL_MASK, country: null });
+        return masks;
+    }
 
-        if (keyCode === 8 || keyCode === 46) { // Backspace or Delete
-            event.preventDefault();
-
-            let start = this.input.selectionStart;
-            let end = this.input.selectionEnd;
-            let unmaskedValue = this.getUnmaskedValue();
-            let newUnmaskedValue = unmaskedValue;
-            let cursorPos = this.getCursorPosInUnmaskedValue(start);
-
-            const maskData = this.masksData[this.activeMaskIndex];
-
-            if (start === end) { // No selection
-                if (keyCode === 8) { // Backspace
-                    let prevDigitPos = start - 1;
-                    while (prevDigitPos >= 0 && maskData.mask[prevDigitPos] !== maskData.placeholderChar) {
-                        prevDigitPos--;
-                    }
-                    if (prevDigitPos >= 0) {
-                        cursorPos = this.getCursorPosInUnmaskedValue(prevDigitPos);
-                        newUnmaskedValue = unmaskedValue.slice(0, cursorPos) + unmaskedValue.slice(cursorPos + 1);
-                    }
-                } else if (keyCode === 46) { // Delete
-                    let nextDigitPos = start;
-                    while (nextDigitPos < maskData.mask.length && maskData.mask[nextDigitPos] !== maskData.placeholderChar) {
-                        nextDigitPos++;
-                    }
-                    if (nextDigitPos < maskData.mask.length) {
-                        let deleteIndex = this.getCursorPosInUnmaskedValue(nextDigitPos);
-                        newUnmaskedValue = unmaskedValue.slice(0, deleteIndex) + unmaskedValue.slice(deleteIndex + 1);
-                    }
-                }
-            } else { // Selection exists
-                newUnmaskedValue = unmaskedValue.slice(0, this.getCursorPosInUnmaskedValue(start)) + unmaskedValue.slice(this.getCursorPosInUnmaskedValue(end));
-                cursorPos = this.getCursorPosInUnmaskedValue(start);
+    /**
+     * Find the country whose calling code starts the given digits (longest code wins).
+     */
+    static detectCountry(digits) {
+        let match = null;
+        for (const [country, data] of Object.entries(this.COUNTRIES)) {
+            if (digits.startsWith(data.callingCode) &&
+                (!match || data.callingCode.length > this.COUNTRIES[match].callingCode.length)) {
+                match = country;
             }
-
-
-            this.setValue(newUnmaskedValue);
-            this.setCursorPositionInFormatted(cursorPos);
-
-        } else if ((event.shiftKey || (keyCode < 48 || keyCode > 57)) && (keyCode < 96 || keyCode > 105)) {
-            event.preventDefault();
         }
+        return match;
     }
 
-    getCursorPosInUnmaskedValue(formattedCursorPos) {
-        if (this.activeMaskIndex === -1) return formattedCursorPos;
-        const maskData = this.masksData[this.activeMaskIndex];
-        let unmaskedCursorPos = 0;
-        for (let i = 0; i < formattedCursorPos; i++) {
-            if (maskData.mask[i] === maskData.placeholderChar) unmaskedCursorPos++;
-        }
-        return unmaskedCursorPos;
+    /**
+     * Return the country of the current number: detected from the calling code in
+     * international mode, or the `country` option otherwise.
+     */
+    getCountry() {
+        if (!this.options.international) return this.options.country;
+        return PhoneNumberMask.detectCountry(this.getUnmaskedValue());
     }
 
-    setCursorPositionInFormatted(unmaskedCursorPos) {
-        if (this.activeMaskIndex === -1) {
-            this.input.setSelectionRange(unmaskedCursorPos, unmaskedCursorPos);
-            return;
-        }
-
-        const maskData = this.masksData[this.activeMaskIndex];
-        let formattedCursorPos = 0;
-        let unmaskedCount = 0;
-
-        for (let i = 0; i < maskData.mask.length; i++) {
-            if (maskData.mask[i] === maskData.placeholderChar) {
-                if (unmaskedCount === unmaskedCursorPos) {
-                    formattedCursorPos = i;
-                    break;
-                }
-                unmaskedCount++;
-            }
-            formattedCursorPos++;
-        }
-
-        while (formattedCursorPos < maskData.mask.length && maskData.mask[formattedCursorPos] !== maskData.placeholderChar) {
-            formattedCursorPos++;
-        }
-        this.input.setSelectionRange(formattedCursorPos, formattedCursorPos);
+    /**
+     * Return the national significant number (without calling code).
+     */
+    getNationalNumber() {
+        const unmaskedValue = this.getUnmaskedValue();
+        const country = this.getCountry();
+        if (!this.options.international || !country) return unmaskedValue;
+        return unmaskedValue.slice(PhoneNumberMask.COUNTRIES[country].callingCode.length);
     }
 
-    handlePaste(event) {
-        event.preventDefault();
-        const pastedData = (event.clipboardData || window.clipboardData).getData('text');
-        this.setValue(pastedData.replace(/\D/g, ''));
-        this.adjustCursorPosition();
+    isCandidateMask(maskData, raw) {
+        if (!this.options.international) return super.isCandidateMask(maskData, raw);
+        return maskData.country === PhoneNumberMask.detectCountry(raw);
     }
 
-    handleInput(event) {
-        if (event.inputType === 'deleteContentBackward' || event.inputType === 'deleteContentForward') return;
-
-        let value = event.target.value;
-        let digits = value.replace(/\D/g, '');
-        let bestMatchIndex = -1;
-        let bestMatchDiff = Infinity;
-        let bestFormatted = '';
-
-        for (let maskIndex = 0; maskIndex < this.masksData.length; maskIndex++) {
-            const maskData = this.masksData[maskIndex];
-            let formatted = '';
-            let digitIndex = 0;
-
-            for (let i = 0; i < maskData.mask.length; i++) {
-                if (maskData.mask[i] === maskData.placeholderChar) {
-                    formatted += digitIndex < digits.length ? digits[digitIndex++] : '';
-                } else {
-                    formatted += maskData.mask[i];
-                }
-            }
-
-            if (maskData.regex.test(formatted)) {
-                const diff = Math.abs(maskData.digitCount - digits.length);
-                if (diff < bestMatchDiff) {
-                    bestMatchDiff = diff;
-                    bestMatchIndex = maskIndex;
-                    bestFormatted = formatted;
-                }
+    unmask(text, maskData, following) {
+        // In international mode, numbers typed without "+" belong to the default country
+        if (this.options.international && this.options.country && text && !text.includes('+')) {
+            text = '+' + PhoneNumberMask.COUNTRIES[this.options.country].callingCode + text;
+        } else if (!this.options.international && text && text.trimStart().startsWith('+')) {
+            // Autofill and paste may bring a calling code along, which national masks don't hold
+            const digits = text.replace(/\D/g, '');
+            const country = this.options.country || PhoneNumberMask.detectCountry(digits);
+            if (country && digits.startsWith(PhoneNumberMask.COUNTRIES[country].callingCode)) {
+                text = digits.slice(PhoneNumberMask.COUNTRIES[country].callingCode.length);
             }
         }
-
-        this.activeMaskIndex = bestMatchIndex;
-
-        if (bestMatchIndex !== -1 && this.masksData[bestMatchIndex].regex.test(bestFormatted)) {
-            event.target.value = bestFormatted;
-        } else {
-            event.target.value = digits;
-        }
-
-        this.validateInput();
-        this.adjustCursorPosition();
+        return super.unmask(text, maskData, following);
     }
 
-    handleBlur(event) {
-        this.validateInput();
-    }
-
-    getUnmaskedValue() {
-        return this.input.value.replace(/\D/g, '');
-    }
-
-    getValue() {
-        if (!this.input || !this.input.value) return null;
-        const unmaskedValue = this.input.value.replace(/\D/g, '');
-        return unmaskedValue.length === 0 ? null : Number(unmaskedValue);
+    acceptsText(text) {
+        // Let a leading "+" through so the calling code can be typed
+        if (this.options.international && text.startsWith('+') && this.input.selectionStart === 0) {
+            return true;
+        }
+        return super.acceptsText(text);
     }
 
-    setValue(value) {
-        if (!this.input) return;
-
-        if (value === null || value === undefined || value === '') {
-            this.input.value = '';
+    handleInput(event) {
+        // Keep a lone "+" until the first digit of the calling code is typed
+        if (this.options.international && this.input.value === '+') {
             this.activeMaskIndex = -1;
-            this.validateInput(); // Still validate for consistent behavior
+            this.slots = [];
             return;
         }
+        super.handleInput(event);
+    }
 
-        let stringValue = String(value).replace(/\D/g, '');
-        let bestMatchIndex = -1;
-        let bestMatchDiff = Infinity;
-        let bestFormatted = '';
-
-        for (let maskIndex = 0; maskIndex < this.masksData.length; maskIndex++) {
-            const maskData = this.masksData[maskIndex];
-            let formatted = '';
-            let digitIndex = 0;
-
-            for (let i = 0; i < maskData.mask.length; i++) {
-                if (maskData.mask[i] === maskData.placeholderChar) {
-                    formatted += digitIndex < stringValue.length ? stringValue[digitIndex++] : '';
-                } else {
-                    formatted += maskData.mask[i];
-                }
-            }
-
-            if (maskData.regex.test(formatted)) {
-                const diff = Math.abs(maskData.digitCount - stringValue.length);
-                if (diff < bestMatchDiff) {
-                    bestMatchDiff = diff;
-                    bestMatchIndex = maskIndex;
-                    bestFormatted = formatted;
-                }
-            }
-        }
+    /**
+     * Return the phone number. Without a format, the digits are returned as a Number.
+     * @param {'e164'|'national'} [format] - 'e164' returns "+5511987654321", 'national'
+     * returns "11987654321". Both return null when the country is unknown.
+     * @returns {number|string|null}
+     */
+    getValue(format) {
+        if (!this.input || !this.input.value) return null;
+        const unmaskedValue = this.getUnmaskedValue();
+        if (unmaskedValue.length === 0) return null;
+        if (!format) return Number(unmaskedValue);
 
-        this.activeMaskIndex = bestMatchIndex;
+        const country = this.getCountry();
+        if (!country) return null;
 
-        if (bestMatchIndex !== -1 && this.masksData[bestMatchIndex].regex.test(bestFormatted)) {
-            this.input.value = bestFormatted;
-        } else {
-            this.input.value = stringValue;
+        switch (format) {
+            case 'e164':
+                return '+' + PhoneNumberMask.COUNTRIES[country].callingCode + this.getNationalNumber();
+            case 'national':
+                return this.getNationalNumber();
+            default:
+                throw new Error(`Unknown phone number format "${format}".`);
         }
+    }
 
-        this.validateInput(); // Validate after setting
+    /**
+     * In international mode, keep the "+" of the number, so its digits aren't read as a number
+     * of the default country: "+12125550123" stays a US number.
+     */
+    getPlainValue() {
+        const unmaskedValue = super.getPlainValue();
+        return this.options.international && unmaskedValue ? '+' + unmaskedValue : unmaskedValue;
     }
 
-    adjustCursorPosition() {
-        if (this.activeMaskIndex !== -1) {
-            const maskData = this.masksData[this.activeMaskIndex];
-            let cursorPosition = this.input.selectionStart;
-            while (cursorPosition < this.input.value.length && maskData.mask[cursorPosition] !== maskData.placeholderChar) {
-                cursorPosition++;
-            }
-            this.input.setSelectionRange(cursorPosition, cursorPosition);
+    /**
+     * Submit the number in the format given by `submitRaw` ('e164' or 'national'); with
+     * `submitRaw: true`, international numbers are submitted as E.164 and others as digits.
+     */
+    getSubmitValue() {
+        if (this.options.submitRaw === 'e164' || this.options.submitRaw === 'national') {
+            return this.getValue(this.options.submitRaw) || '';
         }
+        return this.options.international
+            ? this.getValue('e164') || '+' + this.getUnmaskedValue()
+            : this.getUnmaskedValue();
     }
 
-    validateInput() {
-        if (this.activeMaskIndex !== -1) {
-            const maskData = this.masksData[this.activeMaskIndex];
-            const isValidRegex = maskData.regex.test(this.input.value);
-            const unmaskedValue = this.getUnmaskedValue();
-            const isValidDigitCount = unmaskedValue.length === maskData.digitCount;
+    isValid() {
+        // An empty phone field is reported as invalid
+        if (!this.input.value || !super.isValid()) return false;
+        if (!this.options.international) return true;
 
-            if (isValidRegex && isValidDigitCount) {
-                this.input.setCustomValidity('');
-            } else {
-                this.input.setCustomValidity(this.getErrorMessage());
-            }
-        } else {
-             // No mask, but still valid if not empty
-            this.input.setCustomValidity(this.input.value ? '' : this.getErrorMessage());
-        }
+        const country = this.getCountry();
+        return !!country && PhoneNumberMask.COUNTRIES[country].lengths.includes(this.getNationalNumber().length);
     }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PhoneNumberMask;
+}